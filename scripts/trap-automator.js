@@ -2,15 +2,16 @@
  * Trap Automator
  *
  * This script implements the full workflow for creating traps and caches in
- * Foundry VTT. When a GM presses Shift+T the module presents a series of
- * dialogs allowing the GM to choose a trap or cache type, select a location
- * and trigger, define save and damage parameters (for traps) or a custom
- * description (for caches), then instructs the GM to draw a tile on the
- * scene. Once the tile is drawn the module attaches the assembled trap
- * data as a flag on the tile and spawns four hint tokens around it. Hint
- * tokens are pulled from existing actors named "Hint +2", "Hint +4",
- * "Hint +6" and "Hint +10" and are positioned above, to the right,
- * below and to the left of the tile.
+ * Foundry VTT. When a GM presses Shift+T the module opens a single builder
+ * window in which the GM chooses a trap or cache type, selects a location
+ * and trigger, defines save and damage parameters (for traps) or a custom
+ * description (for caches), then places a tile on the scene either where
+ * the GM clicks or by asking the GM to draw one. Once the tile exists the
+ * module attaches the assembled trap data as a flag on the tile and spawns
+ * one hint token per difficulty tier around it. The tiers are a world
+ * setting; by default there are four, whose tokens are pulled from actors
+ * named "Hint +2", "Hint +4", "Hint +6" and "Hint +10" and positioned
+ * above, to the right, below and to the left of the tile.
  *
  * The trap and cache definitions are loaded from a JSON file packaged with
  * the module and may be extended via a world setting. The flavour text for
@@ -19,26 +20,122 @@
  * hidden from the player.
  */
 
+/**
+ * Localise a string of this module. Keys are relative to the
+ * TRAP_AUTOMATOR namespace of the language files; if data is given its
+ * values fill the {placeholders} of the string.
+ * @param {string} key Key below TRAP_AUTOMATOR, e.g. 'Menu.Title'
+ * @param {Object} [data] Placeholder values
+ * @returns {string}
+ */
+function localize(key, data = null) {
+  const fullKey = `TRAP_AUTOMATOR.${key}`;
+  return data ? game.i18n.format(fullKey, data) : game.i18n.localize(fullKey);
+}
+
 class TrapAutomator {
+  /** Number of custom definition versions kept in the history. */
+  static HISTORY_LIMIT = 25;
+
+  /** Largest tile footprint, in grid units, the placement inputs accept. */
+  static MAX_TILE_SIZE = 10;
+
+  /**
+   * Hint difficulty tiers used until the GM configures their own. The id
+   * keys the hint texts in definitions; the tier's DC is 10 + offset unless
+   * an absolute dc is given, and its tokens copy the named actor.
+   */
+  static DEFAULT_HINT_TIERS = [
+    { id: '+2', label: '+2', offset: 2, dc: null, actor: 'Hint +2' },
+    { id: '+4', label: '+4', offset: 4, dc: null, actor: 'Hint +4' },
+    { id: '+6', label: '+6', offset: 6, dc: null, actor: 'Hint +6' },
+    { id: '+10', label: '+10', offset: 10, dc: null, actor: 'Hint +10' }
+  ];
+
+  /**
+   * Locations every world starts with. Packs and custom definitions may
+   * change them or add more under `locations`. The phrase completes the
+   * flavour "You <trigger> <phrase>." and may be empty.
+   */
+  static DEFAULT_LOCATIONS = {
+    floor: { phrase: 'on the floor' },
+    wall: { phrase: 'on the wall' },
+    ceiling: { phrase: 'on the ceiling' },
+    other: { phrase: '' }
+  };
+
+  /** Trap severities, from least to most harmful. */
+  static SEVERITIES = ['setback', 'dangerous', 'deadly'];
+
+  /**
+   * Save DC, attack bonus and number of damage dice per severity for each
+   * range of character levels, after the trap tables of the 5e Dungeon
+   * Master's Guide. The dice are d10s unless a definition names its own
+   * die (see getSeverityPreset).
+   */
+  static DEFAULT_SEVERITY_TABLE = [
+    {
+      minLevel: 1,
+      maxLevel: 4,
+      setback: { dc: 10, attack: 3, dice: 1 },
+      dangerous: { dc: 12, attack: 6, dice: 2 },
+      deadly: { dc: 16, attack: 9, dice: 4 }
+    },
+    {
+      minLevel: 5,
+      maxLevel: 10,
+      setback: { dc: 10, attack: 4, dice: 2 },
+      dangerous: { dc: 13, attack: 7, dice: 4 },
+      deadly: { dc: 17, attack: 10, dice: 10 }
+    },
+    {
+      minLevel: 11,
+      maxLevel: 16,
+      setback: { dc: 11, attack: 5, dice: 4 },
+      dangerous: { dc: 14, attack: 8, dice: 10 },
+      deadly: { dc: 18, attack: 11, dice: 18 }
+    },
+    {
+      minLevel: 17,
+      maxLevel: 20,
+      setback: { dc: 11, attack: 5, dice: 10 },
+      dangerous: { dc: 15, attack: 8, dice: 18 },
+      deadly: { dc: 20, attack: 12, dice: 24 }
+    }
+  ];
+
   constructor() {
     // Live state for the current creation workflow.
     this.currentData = {};
+    // Active tile placement, if any (see beginPlacement).
+    this.placement = null;
+    // Placements made by this client, most recent last, for undo.
+    this.placementHistory = [];
     // Definitions will be populated from JSON on ready. They are keyed
     // separately for traps and caches and include descriptions, default
     // saves and hint strings.
-    this.definitions = { trap: {}, cache: {}, triggers: {} };
+    this.definitions = { trap: {}, cache: {}, triggers: {}, locations: {} };
+    // Validation problems of loaded definitions, keyed by type and key.
+    this.invalid = { trap: {}, cache: {} };
+    // Definition packs in load order (see registerPack), the pack each
+    // trap and cache was taken from, and whether the packs have been
+    // loaded yet.
+    this.packs = [];
+    this.definitionSources = { trap: {}, cache: {} };
+    this.loaded = false;
   }
 
   /**
-   * Register the Shift+T keybinding to open the creation workflow. Only
-   * GMs may trigger this workflow. Logs to the console when the binding
-   * registers and when the key is pressed.
+   * Register the Shift+T keybinding to open the creation workflow, Alt+Z to
+   * undo the last placement and Shift+Alt+T to place a random trap or
+   * cache. Only GMs may trigger this workflow. Logs to the console when the
+   * binding registers and when the key is pressed.
    */
   registerKeybinding() {
     console.log('Trap Automator: registering keybinding');
     game.keybindings.register('trap-automator', 'open-trap-menu', {
-      name: 'Open Trap/Cache Automator',
-      hint: 'Open the trap or cache creation menu.',
+      name: 'TRAP_AUTOMATOR.Keybindings.OpenMenu.Name',
+      hint: 'TRAP_AUTOMATOR.Keybindings.OpenMenu.Hint',
       editable: [
         {
           key: 'KeyT',
@@ -49,7 +146,7 @@ class TrapAutomator {
       onDown: () => {
         console.log('Trap Automator: hot‑key pressed');
         if (!game.user.isGM) {
-          ui.notifications.warn('Only the GM can create traps or caches.');
+          ui.notifications.warn(localize('Notifications.GMOnly'));
           return false;
         }
         this.openInitialDialog();
@@ -57,6 +154,38 @@ class TrapAutomator {
       },
       onUp: () => {}
     });
+    game.keybindings.register('trap-automator', 'undo-last-placement', {
+      name: 'TRAP_AUTOMATOR.Keybindings.Undo.Name',
+      hint: 'TRAP_AUTOMATOR.Keybindings.Undo.Hint',
+      editable: [
+        {
+          key: 'KeyZ',
+          modifiers: ['Alt']
+        }
+      ],
+      restricted: true,
+      onDown: () => {
+        this.undoLastPlacement();
+        return true;
+      },
+      onUp: () => {}
+    });
+    game.keybindings.register('trap-automator', 'surprise-me', {
+      name: 'TRAP_AUTOMATOR.Keybindings.Random.Name',
+      hint: 'TRAP_AUTOMATOR.Keybindings.Random.Hint',
+      editable: [
+        {
+          key: 'KeyT',
+          modifiers: ['Shift', 'Alt']
+        }
+      ],
+      restricted: true,
+      onDown: () => {
+        this.surpriseMe();
+        return true;
+      },
+      onUp: () => {}
+    });
   }
 
   /**
@@ -68,24 +197,150 @@ class TrapAutomator {
    */
   static registerSettings() {
     game.settings.register('trap-automator', 'customDefs', {
-      name: 'Custom Trap Automator Definitions',
+      name: 'TRAP_AUTOMATOR.Settings.CustomDefs.Name',
       scope: 'world',
       config: false,
       type: Object,
       default: {}
     });
 
+    // Categories, traps and caches the GM has hidden from the menus (see
+    // openVisibilityDialog).
+    game.settings.register('trap-automator', 'hiddenDefinitions', {
+      name: 'TRAP_AUTOMATOR.Settings.HiddenDefinitions.Name',
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: { primaries: [], subcategories: [], trap: [], cache: [] }
+    });
+
+    // Earlier versions of customDefs, oldest first, each with a timestamp,
+    // the user and a summary of the change (see recordDefinitionHistory).
+    game.settings.register('trap-automator', 'customDefsHistory', {
+      name: 'TRAP_AUTOMATOR.Settings.History.Name',
+      scope: 'world',
+      config: false,
+      type: Array,
+      default: []
+    });
+
+    // Ids of definition packs the GM has turned off.
+    game.settings.register('trap-automator', 'disabledPacks', {
+      name: 'TRAP_AUTOMATOR.Settings.DisabledPacks.Name',
+      scope: 'world',
+      config: false,
+      type: Array,
+      default: [],
+      onChange: () => {
+        if (game.trapAutomator?.loaded) game.trapAutomator.reloadDefinitions();
+      }
+    });
+
+    // Hint difficulty tiers, in the order their tokens are laid out around
+    // a trap (see getHintTiers).
+    game.settings.register('trap-automator', 'hintTiers', {
+      name: 'TRAP_AUTOMATOR.Settings.HintTiers.Name',
+      scope: 'world',
+      config: false,
+      type: Array,
+      default: TrapAutomator.DEFAULT_HINT_TIERS,
+      onChange: () => {
+        if (game.trapAutomator?.loaded) game.trapAutomator.reloadDefinitions();
+      }
+    });
+    game.settings.registerMenu('trap-automator', 'hintTiersMenu', {
+      name: 'TRAP_AUTOMATOR.Settings.HintTiers.Name',
+      label: 'TRAP_AUTOMATOR.Settings.HintTiers.Label',
+      hint: 'TRAP_AUTOMATOR.Settings.HintTiers.Hint',
+      icon: 'fa-solid fa-layer-group',
+      type: HintTierConfig,
+      restricted: true
+    });
+
+    // DC, attack bonus and damage dice per severity and level range (see
+    // getSeverityTable).
+    game.settings.register('trap-automator', 'severityTable', {
+      name: 'TRAP_AUTOMATOR.Settings.Severity.Name',
+      scope: 'world',
+      config: false,
+      type: Array,
+      default: TrapAutomator.DEFAULT_SEVERITY_TABLE
+    });
+    game.settings.registerMenu('trap-automator', 'severityMenu', {
+      name: 'TRAP_AUTOMATOR.Settings.Severity.Name',
+      label: 'TRAP_AUTOMATOR.Settings.Severity.Label',
+      hint: 'TRAP_AUTOMATOR.Settings.Severity.Hint',
+      icon: 'fa-solid fa-skull',
+      type: SeverityTableConfig,
+      restricted: true
+    });
+
     // Register a setting to persist the macro UUID used when triggering
     // traps or caches. When a GM selects a different macro via the
     // "Select Macro" menu this value will be updated. The default is
     // the provided macro id used in earlier versions of the module.
     game.settings.register('trap-automator', 'macroId', {
-      name: 'Trap Automator Macro ID',
+      name: 'TRAP_AUTOMATOR.Settings.MacroId.Name',
       scope: 'world',
       config: false,
       type: String,
       default: 'Macro.z9RXNw9fEKBIkxHW'
     });
+
+    // Placement defaults used by the builder. Click placement creates the
+    // tile itself using the footprint below (in grid units) and optional
+    // texture; draw placement waits for the GM to draw a tile by hand.
+    game.settings.register('trap-automator', 'placementMode', {
+      name: 'TRAP_AUTOMATOR.Settings.PlacementMode.Name',
+      hint: 'TRAP_AUTOMATOR.Settings.PlacementMode.Hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      choices: {
+        click: 'TRAP_AUTOMATOR.Settings.PlacementMode.Click',
+        draw: 'TRAP_AUTOMATOR.Settings.PlacementMode.Draw'
+      },
+      default: 'click'
+    });
+    game.settings.register('trap-automator', 'tileSize', {
+      name: 'TRAP_AUTOMATOR.Settings.TileSize.Name',
+      hint: 'TRAP_AUTOMATOR.Settings.TileSize.Hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 1, max: TrapAutomator.MAX_TILE_SIZE, step: 1 },
+      default: 1
+    });
+    game.settings.register('trap-automator', 'tileTexture', {
+      name: 'TRAP_AUTOMATOR.Settings.TileTexture.Name',
+      hint: 'TRAP_AUTOMATOR.Settings.TileTexture.Hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      filePicker: 'image',
+      default: ''
+    });
+    // Language of the narratives and hints written onto placed traps. The
+    // choices are the languages Foundry supports; definitions provide the
+    // translated texts (see localizeDefinition).
+    game.settings.register('trap-automator', 'narrativeLanguage', {
+      name: 'TRAP_AUTOMATOR.Settings.NarrativeLanguage.Name',
+      hint: 'TRAP_AUTOMATOR.Settings.NarrativeLanguage.Hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      choices: { '': 'TRAP_AUTOMATOR.Settings.NarrativeLanguage.Default', ...CONFIG.supportedLanguages },
+      default: ''
+    });
+    game.settings.register('trap-automator', 'placementTimeout', {
+      name: 'TRAP_AUTOMATOR.Settings.PlacementTimeout.Name',
+      hint: 'TRAP_AUTOMATOR.Settings.PlacementTimeout.Hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 0, max: 600, step: 10 },
+      default: 120
+    });
   }
 
   /**
@@ -93,8 +348,10 @@ class TrapAutomator {
    * merge so that individual traps or caches may be overridden or added
    * without replacing the entire definitions object.
    * @param {Object} defs Custom definitions to merge
+   * @param {Object} target Object to merge into; defaults to the live
+   *   definitions
    */
-  mergeDefinitions(defs) {
+  mergeDefinitions(defs, target = this.definitions) {
     const merge = (target, source) => {
       for (const [key, value] of Object.entries(source)) {
         if (value && typeof value === 'object' && !Array.isArray(value)) {
@@ -105,7 +362,464 @@ class TrapAutomator {
         }
       }
     };
-    merge(this.definitions, defs);
+    merge(target, defs);
+  }
+
+  /**
+   * Add a definition pack. Packs are merged in the order they were
+   * registered, after the builtin definitions and before the world's
+   * custom definitions, which always win. Registering again under the same
+   * id merges into the existing pack. Packs added after the definitions
+   * have been loaded take effect immediately.
+   * @param {string} id Unique pack id, usually the contributing module's id
+   * @param {Object} defs Definitions in the builtin-defs.json layout
+   * @param {Object} options
+   * @param {string} options.label Name shown to the GM
+   */
+  registerPack(id, defs, { label = id } = {}) {
+    if (!id || typeof id !== 'string') throw new Error('Trap Automator: a definition pack needs an id.');
+    if (id === 'custom') throw new Error('Trap Automator: the pack id "custom" is reserved.');
+    if (!defs || typeof defs !== 'object' || Array.isArray(defs)) {
+      throw new Error(`Trap Automator: definition pack "${id}" is not a definitions object.`);
+    }
+    const normalized = this.normalizeDefinitions(defs);
+    const existing = this.packs.find(p => p.id === id);
+    if (existing) this.mergeDefinitions(normalized, existing.defs);
+    else this.packs.push({ id, label, defs: normalized });
+    if (!this.loaded) return;
+    const report = this.reloadDefinitions();
+    if (report.length) console.warn(`Trap Automator: ${report.length} invalid definition(s)`, report);
+  }
+
+  /**
+   * Load every definition pack: the builtin definitions file, the files
+   * named by other modules under flags.trap-automator.definitions in their
+   * manifest, and packs added by listeners of the
+   * `trapAutomator.registerPacks` hook. Packs that fail to load are
+   * skipped with an error in the console.
+   */
+  async loadPacks() {
+    const fetchJson = async path => {
+      const resp = await fetch(path);
+      if (!resp.ok) throw new Error(resp.statusText);
+      return resp.json();
+    };
+    try {
+      const data = this.normalizeDefinitions(await fetchJson('modules/trap-automator/definitions/builtin-defs.json'));
+      this.packs.unshift({ id: 'builtin', label: localize('Packs.Builtin'), defs: data });
+      const trapCount = Object.keys(data.trap || {}).length;
+      const cacheCount = Object.keys(data.cache || {}).length;
+      console.log(`Trap Automator: loaded ${trapCount} traps and ${cacheCount} caches from definitions`);
+    } catch (err) {
+      console.error('Trap Automator: failed to load builtin definitions', err);
+    }
+    for (const mod of game.modules) {
+      if (!mod.active || mod.id === 'trap-automator') continue;
+      const paths = mod.flags?.['trap-automator']?.definitions;
+      if (!paths) continue;
+      for (const path of [].concat(paths)) {
+        try {
+          this.registerPack(mod.id, await fetchJson(`modules/${mod.id}/${path}`), { label: mod.title });
+          console.log(`Trap Automator: loaded definitions from ${mod.id}/${path}`);
+        } catch (err) {
+          console.error(`Trap Automator: failed to load definitions ${path} of module ${mod.id}`, err);
+        }
+      }
+    }
+    Hooks.callAll('trapAutomator.registerPacks', (id, defs, options) => {
+      try {
+        this.registerPack(id, defs, options);
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  }
+
+  /**
+   * Rebuild the live definitions from the enabled packs and the custom
+   * definitions, recording which pack each trap and cache came from, then
+   * fill in the default triggers and locations and validate the result.
+   * @returns {Array<Object>} Validation report (see validateDefinitions)
+   */
+  reloadDefinitions() {
+    const disabled = new Set(game.settings.get('trap-automator', 'disabledPacks') || []);
+    const custom = this.normalizeDefinitions(game.settings.get('trap-automator', 'customDefs') || {});
+    const sources = this.packs.filter(p => !disabled.has(p.id))
+      .concat([{ id: 'custom', defs: custom }]);
+    this.definitions = { trap: {}, cache: {}, triggers: {}, locations: {} };
+    this.definitionSources = { trap: {}, cache: {} };
+    for (const pack of sources) {
+      this.mergeDefinitions(foundry.utils.deepClone(pack.defs));
+      for (const type of ['trap', 'cache']) {
+        for (const key of Object.keys(pack.defs[type] || {})) this.definitionSources[type][key] = pack.id;
+      }
+    }
+    // Default triggers are only filled in when there is something to
+    // trigger, so a world without definitions starts with an empty list.
+    if (Object.keys(this.definitions.trap).length || Object.keys(this.definitions.cache).length) {
+      this.initializeDefaultTriggers();
+    }
+    this.initializeDefaultLocations();
+    return this.validateDefinitions();
+  }
+
+  /**
+   * Name of the pack a trap or cache definition currently comes from.
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {string} key Definition key
+   * @returns {string} Pack label, or the localised 'custom' or 'unknown'
+   */
+  getDefinitionSource(type, key) {
+    const id = this.definitionSources[type]?.[key];
+    if (!id) return localize('Packs.Unknown');
+    if (id === 'custom') return localize('Packs.Custom');
+    return this.packs.find(p => p.id === id)?.label || id;
+  }
+
+  /**
+   * Dialog for turning definition packs on or off. The custom definitions
+   * of the world are always enabled and are not listed.
+   */
+  openPacksDialog() {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    if (!this.packs.length) {
+      ui.notifications.warn(localize('Packs.NoneLoaded'));
+      return;
+    }
+    const disabled = game.settings.get('trap-automator', 'disabledPacks') || [];
+    const rows = this.packs.map(pack => {
+      const traps = Object.keys(pack.defs.trap || {}).length;
+      const caches = Object.keys(pack.defs.cache || {}).length;
+      return `<label style="display:block;"><input type="checkbox" name="ta-pack" value="${esc(pack.id)}"${disabled.includes(pack.id) ? '' : ' checked'} />
+        <strong>${esc(pack.label)}</strong> (${localize('Packs.Counts', { traps, caches })})</label>`;
+    }).join('');
+    new Dialog({
+      title: localize('Packs.Title'),
+      content: `<form><p>${localize('Packs.Intro')}</p>${rows}</form>`,
+      buttons: {
+        save: {
+          label: localize('Common.Save'),
+          callback: async html => {
+            const enabled = new Set(html.find('[name="ta-pack"]:checked').map((idx, el) => el.value).get());
+            const off = this.packs.map(p => p.id).filter(id => !enabled.has(id));
+            await game.settings.set('trap-automator', 'disabledPacks', off);
+            ui.notifications.info(localize('Packs.Updated'));
+          }
+        },
+        cancel: { label: localize('Common.Cancel') }
+      },
+      default: 'save'
+    }).render(true);
+  }
+
+  /**
+   * Normalise a definitions object to the canonical layout. Trap or cache
+   * entries found at the top level, next to the trap and cache buckets, are
+   * moved into the bucket matching their shape (an entry with a save or
+   * failure/success text is a trap, otherwise a cache). Entries that would
+   * collide with an existing key in the bucket are dropped with a warning.
+   * Every hint layout is converted by normalizeHints. The input is not
+   * modified.
+   * @param {Object} defs Definitions in any supported layout
+   * @returns {Object} Normalised copy
+   */
+  normalizeDefinitions(defs) {
+    const result = foundry.utils.deepClone(defs || {});
+    const buckets = ['trap', 'cache', 'triggers', 'categories', 'languages', 'locations'];
+    for (const [key, entry] of Object.entries(result)) {
+      if (buckets.includes(key)) continue;
+      const isDef = entry && typeof entry === 'object' && !Array.isArray(entry)
+        && typeof entry.name === 'string' && (entry.description || entry.hints);
+      if (!isDef) continue;
+      const desc = entry.description || {};
+      const type = entry.defaultSave || desc.fail || desc.success ? 'trap' : 'cache';
+      delete result[key];
+      if (!result[type]) result[type] = {};
+      if (result[type][key]) {
+        console.warn(`Trap Automator: dropping stray definition "${key}" because ${type} "${key}" already exists`);
+        continue;
+      }
+      result[type][key] = entry;
+    }
+    for (const type of ['trap', 'cache']) {
+      for (const def of Object.values(result[type] || {})) {
+        if (def && def.hints) def.hints = this.normalizeHints(def.hints);
+        for (const variant of Object.values((def && def.i18n) || {})) {
+          if (variant && variant.hints) variant.hints = this.normalizeHints(variant.hints);
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Convert the hints of a definition to the canonical layout: for each
+   * location an array of hint sets, each set mapping a difficulty tier to
+   * one string. Per-tier layouts ({ '+2': [a, b], '+4': [c, d] }) become
+   * one set per index ([{ '+2': a, '+4': c }, { '+2': b, '+4': d }]) and a
+   * single set object becomes a one-element array.
+   * @param {Object} hints Hints keyed by location
+   * @returns {Object} Hints keyed by location, each an array of sets
+   */
+  normalizeHints(hints) {
+    const result = {};
+    for (const [loc, value] of Object.entries(hints || {})) {
+      if (Array.isArray(value)) {
+        result[loc] = value.filter(set => set && typeof set === 'object');
+        continue;
+      }
+      if (!value || typeof value !== 'object') continue;
+      const tiers = Object.entries(value);
+      if (tiers.every(([, v]) => typeof v === 'string')) {
+        result[loc] = [{ ...value }];
+        continue;
+      }
+      const count = Math.max(0, ...tiers.map(([, v]) => (Array.isArray(v) ? v.length : 1)));
+      const sets = [];
+      for (let i = 0; i < count; i++) {
+        const set = {};
+        for (const [tier, v] of tiers) {
+          set[tier] = (Array.isArray(v) ? v[i] : (i === 0 ? v : '')) || '';
+        }
+        sets.push(set);
+      }
+      result[loc] = sets;
+    }
+    return result;
+  }
+
+  /**
+   * Check a single trap or cache definition for the fields the builder and
+   * buildTrapData rely on. Traps need a name, category, save ability and
+   * flavour, failure and success texts, and a damage die (such as "d6") and
+   * a positive damage scale if they set them; caches need a name and found
+   * text. A random weight, if set, must not be negative.
+   * Both need hints for at least one location they may be placed in, with
+   * text for at least one of the configured difficulty tiers, so a minor
+   * trap may leave the harder tiers empty. Locations without hints of
+   * their own use the floor hints. Hints are expected in the normalised
+   * layout (see normalizeHints).
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {Object} def The definition to check
+   * @param {string} [key] Definition key; when given, locations that do not
+   *   allow the definition are not considered
+   * @returns {Array<string>} Problems found; empty when the entry is valid
+   */
+  validateDefinition(type, def, key = null) {
+    const problems = [];
+    if (!def || typeof def !== 'object' || Array.isArray(def)) return [localize('Validation.NotObject')];
+    const text = v => typeof v === 'string' && v.trim().length > 0;
+    if (!text(def.name)) problems.push(localize('Validation.MissingName'));
+    const desc = def.description || {};
+    if (type === 'trap') {
+      if (!text(def.category)) problems.push(localize('Validation.MissingCategory'));
+      const saves = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+      if (!saves.includes(String(def.defaultSave || '').toLowerCase())) problems.push(localize('Validation.BadSave'));
+      for (const field of ['flavor', 'fail', 'success']) {
+        if (!text(desc[field])) problems.push(localize('Validation.MissingText', { field: `description.${field}` }));
+      }
+      if (def.damageDie !== undefined && !/^d\d+$/.test(String(def.damageDie))) problems.push(localize('Validation.BadDamageDie'));
+      if (def.damageScale !== undefined && !(Number(def.damageScale) > 0)) problems.push(localize('Validation.BadDamageScale'));
+    } else if (!text(desc.found)) {
+      problems.push(localize('Validation.MissingText', { field: 'description.found' }));
+    }
+    if (def.weight !== undefined && !(Number(def.weight) >= 0)) problems.push(localize('Validation.BadWeight'));
+    const locations = this.getLocations().filter(loc => !key || this.isLocationAllowed(loc, type, key));
+    if (!locations.some(loc => this.getLocationHints(def, loc).length)) {
+      problems.push(localize('Validation.MissingHints'));
+    }
+    return problems;
+  }
+
+  /**
+   * Validate every loaded trap and cache definition. Entries with problems
+   * are recorded in this.invalid and left out of the builder menus; they
+   * remain editable so they can be fixed.
+   * @returns {Array<Object>} Report entries { type, key, name, source, problems }
+   */
+  validateDefinitions() {
+    const report = [];
+    this.invalid = { trap: {}, cache: {} };
+    for (const type of ['trap', 'cache']) {
+      for (const [key, def] of Object.entries(this.definitions[type] || {})) {
+        const problems = this.validateDefinition(type, def, key);
+        if (!problems.length) continue;
+        this.invalid[type][key] = problems;
+        report.push({
+          type,
+          key,
+          name: def?.name || key,
+          source: this.getDefinitionSource(type, key),
+          problems
+        });
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Whether a definition passed validation and may be offered in menus.
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {string} key Definition key
+   * @returns {boolean}
+   */
+  isDefinitionUsable(type, key) {
+    return !(this.invalid && this.invalid[type] && this.invalid[type][key]);
+  }
+
+  /**
+   * Read the per-world visibility switches, filling in missing lists.
+   * @returns {Object} { primaries, subcategories, trap, cache }, each an
+   *   array of hidden keys
+   */
+  getHiddenDefinitions() {
+    const stored = game.settings.get('trap-automator', 'hiddenDefinitions') || {};
+    const hidden = {};
+    for (const list of ['primaries', 'subcategories', 'trap', 'cache']) {
+      hidden[list] = Array.isArray(stored[list]) ? stored[list] : [];
+    }
+    return hidden;
+  }
+
+  /**
+   * Whether a category is switched off, either itself or through its
+   * primary category.
+   * @param {string} cat Category key
+   * @returns {boolean}
+   */
+  isCategoryHidden(cat) {
+    if (!cat) return false;
+    const hidden = this.getHiddenDefinitions();
+    const { primary, sub } = this.categorizeCategory(cat);
+    return hidden.primaries.includes(primary) || (!!sub && hidden.subcategories.includes(sub));
+  }
+
+  /**
+   * Whether a trap or cache is switched off for this world, individually or
+   * through its category. Hidden definitions are left out of the builder
+   * menus but can still be edited and created through the API.
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {string} key Definition key
+   * @returns {boolean}
+   */
+  isDefinitionHidden(type, key) {
+    if (this.getHiddenDefinitions()[type].includes(key)) return true;
+    const def = this.definitions[type]?.[key];
+    return this.isCategoryHidden(def?.category);
+  }
+
+  /**
+   * Whether a definition may be offered in the builder: it must be valid
+   * and not hidden.
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {string} key Definition key
+   * @returns {boolean}
+   */
+  isDefinitionOffered(type, key) {
+    return this.isDefinitionUsable(type, key) && !this.isDefinitionHidden(type, key);
+  }
+
+  /**
+   * Dialog for switching whole primary categories, subcategories and single
+   * traps or caches on or off for this world. Unticked entries are hidden
+   * from the builder and the trigger lists.
+   */
+  openVisibilityDialog() {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const hidden = this.getHiddenDefinitions();
+    const box = (list, key, label) => `<label style="display:block;"><input type="checkbox" name="${list}" value="${esc(key)}"${hidden[list].includes(key) ? '' : ' checked'} /> ${esc(label)}</label>`;
+    const tree = {};
+    for (const type of ['trap', 'cache']) {
+      for (const [key, def] of Object.entries(this.definitions[type] || {})) {
+        const { primary, sub } = def.category ? this.categorizeCategory(def.category) : { primary: '', sub: null };
+        const node = tree[primary] = tree[primary] || {};
+        const subKey = sub || '_';
+        node[subKey] = node[subKey] || [];
+        node[subKey].push({ type, key, name: def.name || key });
+      }
+    }
+    const items = list => list.sort((a, b) => a.name.localeCompare(b.name))
+      .map(e => box(e.type, e.key, `${e.name} (${localize(`Types.${e.type}`)})`)).join('');
+    let body = '';
+    for (const primary of Object.keys(tree).sort()) {
+      const node = tree[primary];
+      const subs = Object.keys(node).filter(k => k !== '_').sort();
+      const inner = (node._ ? items(node._) : '') + subs.map(sub => `<fieldset style="margin-left:1em;">
+          <legend>${box('subcategories', sub, sub)}</legend>${items(node[sub])}</fieldset>`).join('');
+      body += primary
+        ? `<fieldset><legend>${box('primaries', primary, primary)}</legend>${inner}</fieldset>`
+        : `<fieldset><legend>${localize('Visibility.Uncategorised')}</legend>${inner}</fieldset>`;
+    }
+    new Dialog({
+      title: localize('Visibility.Title'),
+      content: `<form style="max-height:500px;overflow-y:auto;"><p>${localize('Visibility.Intro')}</p>${body}</form>`,
+      buttons: {
+        save: {
+          label: localize('Common.Save'),
+          callback: async html => {
+            const result = {};
+            for (const list of ['primaries', 'subcategories', 'trap', 'cache']) {
+              result[list] = html.find(`input[name="${list}"]:not(:checked)`).map((idx, el) => el.value).get();
+            }
+            await game.settings.set('trap-automator', 'hiddenDefinitions', result);
+            ui.notifications.info(localize('Visibility.Saved'));
+          }
+        },
+        cancel: { label: localize('Common.Cancel') }
+      },
+      default: 'save'
+    }).render(true);
+  }
+
+  /**
+   * Whether any definition pack (builtin or contributed) provides a trap or
+   * cache, i.e. whether a custom entry with that key is an override.
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {string} key Definition key
+   * @returns {boolean}
+   */
+  hasPackDefinition(type, key) {
+    return this.packs.some(p => p.defs[type] && p.defs[type][key]);
+  }
+
+  /**
+   * Drop the custom override of a pack definition so the original is used
+   * again.
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {string} key Definition key
+   */
+  async resetDefinition(type, key) {
+    const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
+    if (!custom[type] || !custom[type][key]) {
+      ui.notifications.warn(localize('Definitions.NothingToReset'));
+      return;
+    }
+    delete custom[type][key];
+    await this.saveCustomDefinitions(custom);
+    const def = this.definitions[type]?.[key];
+    ui.notifications.info(localize('Definitions.Reset', { name: def?.name || key, source: this.getDefinitionSource(type, key) }));
+  }
+
+  /**
+   * Show the GM which definitions failed validation and why.
+   * @param {Array<Object>} report Result of validateDefinitions; recomputed
+   *   if omitted
+   */
+  openValidationReport(report = null) {
+    report = report || this.validateDefinitions();
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const content = report.length
+      ? `<p>${localize('Validation.Intro')}</p>
+        <ul style="max-height:400px;overflow-y:auto;">${report.map(r => `<li><strong>${esc(r.name)}</strong> (${localize(`Types.${r.type}`)} "${esc(r.key)}", ${esc(r.source)}): ${r.problems.map(esc).join('; ')}</li>`).join('')}</ul>`
+      : `<p>${localize('Validation.AllValid')}</p>`;
+    new Dialog({
+      title: localize('Validation.Title'),
+      content,
+      buttons: {
+        ok: { label: localize('Common.Close') }
+      },
+      default: 'ok'
+    }).render(true);
   }
 
   /**
@@ -211,52 +925,81 @@ class TrapAutomator {
     }
   }
 
+  /**
+   * Fill in the default locations. Fields a pack or the custom definitions
+   * set on a default location win over the defaults, and the defaults are
+   * listed first so the familiar order is kept.
+   */
+  initializeDefaultLocations() {
+    const loaded = this.definitions.locations || {};
+    const locations = {};
+    for (const [id, location] of Object.entries(TrapAutomator.DEFAULT_LOCATIONS)) {
+      locations[id] = { ...location, ...(loaded[id] || {}) };
+    }
+    for (const [id, location] of Object.entries(loaded)) {
+      if (!locations[id] && location && typeof location === 'object') locations[id] = location;
+    }
+    this.definitions.locations = locations;
+  }
+
   /**
    * Present the initial dialog asking the GM to choose whether to create a
-   * trap or a cache. This also offers stub options for adding or editing
-   * definitions which currently show a notification indicating the
-   * functionality is unimplemented.
+   * trap or a cache. Creating either opens the single-window builder; the
+   * remaining buttons lead to the definition editors and macro selection.
    */
   openInitialDialog() {
-    this.currentData = {};
     new Dialog({
-      title: 'Trap Automator',
-      content: '<p>What would you like to create?</p>',
+      title: localize('Menu.Title'),
+      content: `<p>${localize('Menu.Prompt')}</p>`,
       buttons: {
         trap: {
-          label: 'Trap',
-          callback: () => {
-            this.currentData.type = 'trap';
-            this.openTrapTypeDialog();
-          }
+          label: localize('Types.Trap'),
+          callback: () => this.openBuilder('trap')
         },
         cache: {
-          label: 'Cache',
-          callback: () => {
-            this.currentData.type = 'cache';
-            this.openCacheTypeDialog();
-          }
+          label: localize('Types.Cache'),
+          callback: () => this.openBuilder('cache')
+        },
+        random: {
+          label: localize('Random.Title'),
+          callback: () => this.openSurpriseDialog()
+        },
+        scatter: {
+          label: localize('Scatter.Title'),
+          callback: () => this.openScatterDialog()
+        },
+        manage: {
+          label: localize('Menu.Manage'),
+          callback: () => this.openManager()
+        },
+        undo: {
+          label: localize('Menu.Undo'),
+          callback: () => this.undoLastPlacement()
         },
         addDef: {
-          label: 'Add Definition',
+          label: localize('Menu.AddDefinition'),
           callback: () => {
             this.openAddDefinitionDialog();
           }
         },
         editDef: {
-          label: 'Edit Definitions',
+          label: localize('Menu.EditDefinitions'),
           callback: () => {
             this.openEditDefinitionDialog();
           }
         },
+        tools: {
+          label: localize('Menu.Tools'),
+          callback: () => this.openDefinitionToolsDialog()
+        },
         selectMacro: {
-          label: 'Select Macro',
+          label: localize('Menu.SelectMacro'),
           callback: () => {
             this.openSelectMacroDialog();
           }
         },
         cancel: {
-          label: 'Cancel'
+          label: localize('Common.Cancel')
         }
       },
       default: 'trap'
@@ -265,37 +1008,42 @@ class TrapAutomator {
 
   /**
    * Present a dialog prompting the GM to choose which type of definition to add.
-   * Options include Category, Trigger, Cache and Trap. Upon selection the
-   * workflow proceeds to further dialogs to collect the necessary fields.
+   * Options include Category, Trigger, Cache, Trap, Subcategory and
+   * Location. Upon selection the workflow proceeds to further dialogs to
+   * collect the necessary fields.
    */
   openAddDefinitionDialog() {
-    const content = '<p>What kind of definition would you like to add?</p>';
+    const content = `<p>${localize('Definitions.AddPrompt')}</p>`;
     new Dialog({
-      title: 'Add Definition',
+      title: localize('Definitions.AddTitle'),
       content,
       buttons: {
         category: {
-          label: 'Category',
+          label: localize('Types.Category'),
           callback: () => this.openAddCategoryDialog()
         },
         trigger: {
-          label: 'Trigger',
+          label: localize('Types.Trigger'),
           callback: () => this.openAddTriggerDialog()
         },
         cache: {
-          label: 'Cache',
+          label: localize('Types.Cache'),
           callback: () => this.openAddCacheDialog()
         },
         trap: {
-          label: 'Trap',
+          label: localize('Types.Trap'),
           callback: () => this.openAddTrapDialog()
         },
         subcat: {
-          label: 'Subcategory',
+          label: localize('Types.Subcategory'),
           callback: () => this.openAddSubcategoryDialog()
         },
+        location: {
+          label: localize('Types.Location'),
+          callback: () => this.openAddLocationDialog()
+        },
         cancel: {
-          label: 'Cancel'
+          label: localize('Common.Cancel')
         }
       },
       default: 'category'
@@ -308,29 +1056,37 @@ class TrapAutomator {
    * definition selection if necessary.
    */
   openEditDefinitionDialog() {
-    const content = '<p>What kind of definition would you like to edit?</p>';
+    const content = `<p>${localize('Definitions.EditPrompt')}</p>`;
     new Dialog({
-      title: 'Edit Definition',
+      title: localize('Definitions.EditTitle'),
       content,
       buttons: {
         category: {
-          label: 'Category',
+          label: localize('Types.Category'),
           callback: () => this.openEditCategoryDialog()
         },
         trigger: {
-          label: 'Trigger',
+          label: localize('Types.Trigger'),
           callback: () => this.openEditTriggerDialog()
         },
         cache: {
-          label: 'Cache',
+          label: localize('Types.Cache'),
           callback: () => this.openEditCacheDialog()
         },
         trap: {
-          label: 'Trap',
+          label: localize('Types.Trap'),
           callback: () => this.openEditTrapDialog()
         },
+        location: {
+          label: localize('Types.Location'),
+          callback: () => this.openEditLocationDialog()
+        },
+        visibility: {
+          label: localize('Menu.Visibility'),
+          callback: () => this.openVisibilityDialog()
+        },
         cancel: {
-          label: 'Cancel'
+          label: localize('Common.Cancel')
         }
       },
       default: 'category'
@@ -477,7 +1233,7 @@ class TrapAutomator {
   /**
    * Return the list of final categories (including subcategories) that can
    * have separate triggers. This collects category names from trap
-   * definitions and custom categories.
+   * definitions and custom categories, leaving out hidden categories.
    * @returns {Array<string>} Sorted list of final category keys
    */
   getTriggerCategoryKeys() {
@@ -493,7 +1249,7 @@ class TrapAutomator {
         for (const key of Object.keys(custom.categories)) cats.add(key);
       }
     } catch (err) {}
-    return Array.from(cats).sort();
+    return Array.from(cats).filter(c => !this.isCategoryHidden(c)).sort();
   }
 
   /**
@@ -513,46 +1269,160 @@ class TrapAutomator {
   }
 
   /**
-   * Persist the provided custom definitions object to the world settings and
-   * immediately merge it into the live definitions so subsequent dialogs
-   * reflect the changes.
-   * @param {Object} custom Updated custom definitions object
+   * Describe the entry-level differences between two custom definition
+   * objects, e.g. 'added trap "glue floor"; changed 2 cache(s)'.
+   * @param {Object} before Previous custom definitions
+   * @param {Object} after New custom definitions
+   * @returns {string} Summary, or 'no changes' in the client's language
    */
-  async saveCustomDefinitions(custom) {
-    await game.settings.set('trap-automator', 'customDefs', custom);
-    // Merge into live definitions
-    this.mergeDefinitions(custom);
+  summarizeDefinitionChanges(before, after) {
+    const labels = {
+      categories: localize('History.Sections.categories'),
+      triggers: localize('History.Sections.triggers'),
+      trap: localize('Types.trap'),
+      cache: localize('Types.cache'),
+      locations: localize('History.Sections.locations')
+    };
+    const parts = [];
+    for (const [section, label] of Object.entries(labels)) {
+      const a = (before && before[section]) || {};
+      const b = (after && after[section]) || {};
+      const changes = { added: [], removed: [], changed: [] };
+      for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        if (!(key in a)) changes.added.push(key);
+        else if (!(key in b)) changes.removed.push(key);
+        else if (!foundry.utils.objectsEqual({ v: a[key] }, { v: b[key] })) changes.changed.push(key);
+      }
+      for (const [op, keys] of Object.entries(changes)) {
+        if (keys.length === 1) parts.push(localize(`History.Summary.${op}`, { label, key: keys[0] }));
+        else if (keys.length > 1) parts.push(localize(`History.Summary.${op}Many`, { label, count: keys.length }));
+      }
+    }
+    return parts.join('; ') || localize('History.Summary.none');
   }
 
   /**
-   * Dialog for adding a new category. Only requires a category identifier.
+   * List every changed value between two custom definition objects. Values
+   * are compared on their flattened keys; arrays such as hint sets and
+   * trigger lists are compared as a whole.
+   * @param {Object} before Previous custom definitions
+   * @param {Object} after New custom definitions
+   * @returns {Array<Object>} { key, before, after } with undefined for
+   *   missing values
    */
-  openAddCategoryDialog() {
-    const content = `<form><div class="form-group"><label for="ta-add-cat-id">New category ID:</label><input type="text" id="ta-add-cat-id" name="ta-add-cat-id" /></div></form>`;
-    new Dialog({
-      title: 'Add Category',
-      content,
-      buttons: {
-        create: {
-          label: 'Create',
+  diffDefinitions(before, after) {
+    const a = foundry.utils.flattenObject(before || {});
+    const b = foundry.utils.flattenObject(after || {});
+    const diff = [];
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) diff.push({ key, before: a[key], after: b[key] });
+    }
+    return diff.sort((x, y) => x.key.localeCompare(y.key));
+  }
+
+  /**
+   * Append a version of the custom definitions to the history. The first
+   * recorded change also stores the version it replaced so that it can be
+   * restored. Only the most recent versions are kept.
+   * @param {Object} before Custom definitions before the change
+   * @param {Object} after Custom definitions after the change
+   * @param {string} summary What changed; computed if omitted
+   */
+  async recordDefinitionHistory(before, after, summary = '') {
+    const history = foundry.utils.deepClone(game.settings.get('trap-automator', 'customDefsHistory') || []);
+    const entry = data => ({
+      id: foundry.utils.randomID(),
+      timestamp: Date.now(),
+      userId: game.user.id,
+      user: game.user.name,
+      data
+    });
+    if (!history.length && before && Object.keys(before).length) {
+      history.push({ ...entry(before), summary: localize('History.Summary.initial') });
+    }
+    history.push({ ...entry(after), summary: summary || this.summarizeDefinitionChanges(before, after) });
+    await game.settings.set('trap-automator', 'customDefsHistory', history.slice(-TrapAutomator.HISTORY_LIMIT));
+  }
+
+  /**
+   * Restore an earlier version of the custom definitions. The restore is
+   * saved as a new version, so it can itself be undone.
+   * @param {string} id History entry id
+   */
+  async restoreDefinitionVersion(id) {
+    const history = game.settings.get('trap-automator', 'customDefsHistory') || [];
+    const entry = history.find(e => e.id === id);
+    if (!entry) {
+      ui.notifications.error(localize('History.Missing'));
+      return;
+    }
+    const when = new Date(entry.timestamp).toLocaleString();
+    await this.saveCustomDefinitions(foundry.utils.deepClone(entry.data), { summary: localize('History.RestoredSummary', { when }) });
+    ui.notifications.info(localize('History.Restored', { when }));
+  }
+
+  /**
+   * Open the custom definition history.
+   * @returns {DefinitionHistoryApp}
+   */
+  openHistory() {
+    if (!this.history) this.history = new DefinitionHistoryApp(this);
+    this.history.render(true);
+    return this.history;
+  }
+
+  /**
+   * Persist the provided custom definitions object to the world settings and
+   * immediately rebuild the live definitions so subsequent dialogs reflect
+   * the changes. Every change is recorded in the definition history.
+   * @param {Object} custom Updated custom definitions object
+   * @param {Object} options
+   * @param {string} options.summary Description for the history; computed
+   *   from the changes if omitted
+   */
+  async saveCustomDefinitions(custom, { summary = '' } = {}) {
+    custom = this.normalizeDefinitions(custom);
+    const before = game.settings.get('trap-automator', 'customDefs') || {};
+    await game.settings.set('trap-automator', 'customDefs', custom);
+    if (!foundry.utils.objectsEqual(before, custom)) {
+      await this.recordDefinitionHistory(foundry.utils.deepClone(before), custom, summary);
+    }
+    // Rebuild the live definitions so removed entries disappear as well
+    const report = this.reloadDefinitions();
+    if (report.length) {
+      ui.notifications.warn(localize('Validation.Incomplete', { count: report.length }));
+    }
+  }
+
+  /**
+   * Dialog for adding a new category. Only requires a category identifier.
+   */
+  openAddCategoryDialog() {
+    const content = `<form><div class="form-group"><label for="ta-add-cat-id">${localize('Fields.NewCategoryId')}</label><input type="text" id="ta-add-cat-id" name="ta-add-cat-id" /></div></form>`;
+    new Dialog({
+      title: localize('Definitions.AddCategory'),
+      content,
+      buttons: {
+        create: {
+          label: localize('Common.Create'),
           callback: async html => {
             const cat = this.slugify(html.find('#ta-add-cat-id').val());
             if (!cat) {
-              ui.notifications.warn('Category ID cannot be empty.');
+              ui.notifications.warn(localize('Definitions.CategoryEmpty'));
               return;
             }
             const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
             if (!custom.categories) custom.categories = {};
             if (custom.categories[cat]) {
-              ui.notifications.warn('Category already exists in custom definitions.');
+              ui.notifications.warn(localize('Definitions.CategoryExists'));
               return;
             }
             custom.categories[cat] = { name: cat };
             await this.saveCustomDefinitions(custom);
-            ui.notifications.info(`Category "${cat}" added.`);
+            ui.notifications.info(localize('Definitions.CategoryAdded', { category: cat }));
           }
         },
-        cancel: { label: 'Cancel' }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'create'
     }).render(true);
@@ -590,27 +1460,27 @@ class TrapAutomator {
       .join('');
     const content = `<form>
       <div class="form-group">
-        <label for="ta-add-trig-cat">Category:</label>
+        <label for="ta-add-trig-cat">${localize('Fields.Category')}</label>
         <select id="ta-add-trig-cat" name="ta-add-trig-cat">
           ${options}
         </select>
       </div>
       <div class="form-group">
-        <label for="ta-add-trig-text">Trigger description:</label>
+        <label for="ta-add-trig-text">${localize('Fields.TriggerText')}</label>
         <input type="text" id="ta-add-trig-text" name="ta-add-trig-text" />
       </div>
     </form>`;
     new Dialog({
-      title: 'Add Trigger',
+      title: localize('Definitions.AddTrigger'),
       content,
       buttons: {
         create: {
-          label: 'Add',
+          label: localize('Common.Add'),
           callback: async html => {
             const cat = html.find('#ta-add-trig-cat').val();
             const trig = html.find('#ta-add-trig-text').val().trim();
             if (!trig) {
-              ui.notifications.warn('Trigger text cannot be empty.');
+              ui.notifications.warn(localize('Definitions.TriggerEmpty'));
               return;
             }
             const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
@@ -618,10 +1488,10 @@ class TrapAutomator {
             if (!custom.triggers[cat]) custom.triggers[cat] = [];
             custom.triggers[cat].push(trig);
             await this.saveCustomDefinitions(custom);
-            ui.notifications.info(`Trigger added under category "${cat}".`);
+            ui.notifications.info(localize('Definitions.TriggerAdded', { category: cat }));
           }
         },
-        cancel: { label: 'Cancel' }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'create'
     }).render(true);
@@ -629,9 +1499,9 @@ class TrapAutomator {
 
   /**
    * Dialog for adding a cache. Prompts for category, cache name, description
-   * and one or more sets of hints. The four difficulty levels (+2, +4, +6
-   * and +10) are entered for each set. Additional sets may be added by
-   * clicking the Add Set button.
+   * and one or more sets of hints per location. A text for each configured
+   * difficulty tier is entered for each set. Additional sets may be
+   * added by clicking the Add Set button.
    */
   openAddCacheDialog() {
     // Build primary categories dynamically. Use custom categories if any exist;
@@ -654,55 +1524,42 @@ class TrapAutomator {
     const options = primaryCats.map(c => `<option value="${c}">${c.charAt(0).toUpperCase() + c.slice(1)}</option>`).join('');
     const content = `<form id="ta-add-cache-form">
       <div class="form-group">
-        <label for="ta-add-cache-cat">Category:</label>
+        <label for="ta-add-cache-cat">${localize('Fields.Category')}</label>
         <select id="ta-add-cache-cat" name="ta-add-cache-cat">
           ${options}
         </select>
       </div>
       <div class="form-group">
-        <label for="ta-add-cache-name">Name:</label>
+        <label for="ta-add-cache-name">${localize('Fields.Name')}</label>
         <input type="text" id="ta-add-cache-name" name="ta-add-cache-name" />
       </div>
       <div class="form-group">
-        <label for="ta-add-cache-desc">Description:</label>
+        <label for="ta-add-cache-desc">${localize('Fields.Description')}</label>
         <textarea id="ta-add-cache-desc" name="ta-add-cache-desc" rows="3"></textarea>
       </div>
+      ${this._renderWeightField()}
       <hr/>
-      <h3>Hint Sets</h3>
-      <div id="ta-cache-sets">
-        ${this._renderHintSet(0)}
-      </div>
-      <button type="button" id="ta-add-cache-addset">Add Another Set</button>
+      <h3>${localize('Hints.Sets')}</h3>
+      ${this._renderHintLocations()}
     </form>`;
     const dlg = new Dialog({
-      title: 'Add Cache',
+      title: localize('Definitions.AddCache'),
       content,
       buttons: {
         create: {
-          label: 'Create',
+          label: localize('Common.Create'),
           callback: async html => {
             const cat = html.find('#ta-add-cache-cat').val();
             const name = html.find('#ta-add-cache-name').val().trim();
             const desc = html.find('#ta-add-cache-desc').val().trim();
             if (!name) {
-              ui.notifications.warn('Cache name cannot be empty.');
+              ui.notifications.warn(localize('Definitions.CacheNameEmpty'));
               return;
             }
-            // Build hint sets
-            const sets = [];
-            html.find('.ta-hint-set').each((idx, el) => {
-              const $el = $(el);
-              const i = $el.data('idx');
-              const set = {
-                '+2': $el.find(`[name="hint-${i}-2"]`).val().trim(),
-                '+4': $el.find(`[name="hint-${i}-4"]`).val().trim(),
-                '+6': $el.find(`[name="hint-${i}-6"]`).val().trim(),
-                '+10': $el.find(`[name="hint-${i}-10"]`).val().trim()
-              };
-              sets.push(set);
-            });
-            if (!sets.length || !sets[0]['+2']) {
-              ui.notifications.warn('At least one hint set must be filled in.');
+            // Build hint sets for each location
+            const hints = this._readHintLocations(html);
+            if (!Object.keys(hints).length) {
+              ui.notifications.warn(localize('Definitions.HintRequired'));
               return;
             }
             const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
@@ -712,53 +1569,217 @@ class TrapAutomator {
               name,
               category: cat,
               description: { found: desc },
-              hints: {
-                floor: sets,
-                wall: sets,
-                ceiling: sets,
-                other: sets
-              }
+              ...this._readWeightField(html),
+              hints
             };
             await this.saveCustomDefinitions(custom);
-            ui.notifications.info(`Cache "${name}" added.`);
+            ui.notifications.info(localize('Definitions.CacheAdded', { name }));
           }
         },
-        cancel: { label: 'Cancel' }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'create'
     });
     dlg.render(true);
-    // Attach handler for adding hint sets, ensuring old handlers are removed
-    $(document).off('click.taAddCache');
-    $(document).on('click.taAddCache', '#ta-add-cache-addset', ev => {
-      ev.preventDefault();
-      const container = $('#ta-cache-sets');
-      const idx = container.children('.ta-hint-set').length;
-      container.append(this._renderHintSet(idx));
-    });
+    this._bindHintLocationControls();
   }
 
   /**
-   * Internal helper to render a hint set. Accepts an index and returns an
-   * HTML string with inputs named using that index. Adds the class
-   * "ta-hint-set" and data-idx attribute for later retrieval.
+   * Internal helper to render a hint set with one input per configured
+   * tier. Accepts an index, the location the set belongs to and optionally
+   * the texts to prefill. Inputs are named "hint-<loc>-<idx>-<tier index>"
+   * and the wrapper carries the class "ta-hint-set" and data-idx attribute
+   * for later retrieval.
    * @param {number} idx Index of the hint set
+   * @param {Object} [set] Existing hint texts keyed by tier id; resolved
+   *   to the configured tiers with resolveHintSet
+   * @param {string} [loc] Location the set belongs to
    * @returns {string} HTML for hint set
    */
-  _renderHintSet(idx) {
+  _renderHintSet(idx, set = {}, loc = 'floor') {
+    const esc = Handlebars.escapeExpression;
+    const tiers = this.getHintTiers();
+    const texts = this.resolveHintSet(set);
     return `<div class="ta-hint-set" data-idx="${idx}" style="margin-bottom:1em;border:1px solid #666;padding:0.5em;">
-      <strong>Set ${idx + 1}</strong><br/>
-      <label>+2:</label> <input type="text" name="hint-${idx}-2" /><br/>
-      <label>+4:</label> <input type="text" name="hint-${idx}-4" /><br/>
-      <label>+6:</label> <input type="text" name="hint-${idx}-6" /><br/>
-      <label>+10:</label> <input type="text" name="hint-${idx}-10" /><br/>
+      <strong>${localize('Hints.Set', { number: idx + 1 })}</strong><br/>
+      ${tiers.map((tier, t) => `<label>${esc(tier.label)}:</label> <input type="text" name="hint-${loc}-${idx}-${t}" value="${esc(texts[tier.id])}" /><br/>`).join('\n      ')}
     </div>`;
   }
 
+  /**
+   * Render the hint editor used by the add and edit forms: a location
+   * selector followed by one block of hint sets per location, of which only
+   * the selected one is shown. Each block has its own Add Another Set
+   * button; the Copy from Floor button replaces the shown location's sets
+   * with a copy of the floor sets. Call _bindHintLocationControls after
+   * rendering the dialog.
+   * @param {Object} [hints] Existing hints keyed by location
+   * @returns {string} HTML for the hint editor
+   */
+  _renderHintLocations(hints = {}) {
+    const locations = this.getLocations();
+    const blocks = locations.map((loc, i) => {
+      const sets = Array.isArray(hints[loc]) && hints[loc].length ? hints[loc] : [{}];
+      return `<div class="ta-hint-loc" data-loc="${loc}"${i ? ' style="display:none;"' : ''}>
+        <div class="ta-hint-sets">${sets.map((s, idx) => this._renderHintSet(idx, s || {}, loc)).join('')}</div>
+        <button type="button" class="ta-hint-addset">${localize('Hints.AddSet')}</button>
+      </div>`;
+    }).join('');
+    return `<div class="form-group">
+        <label>${localize('Fields.Location')}</label>
+        <select class="ta-hint-loc-select">
+          ${locations.map(loc => `<option value="${loc}">${this.getLocationLabel(loc)}</option>`).join('')}
+        </select>
+        <button type="button" class="ta-hint-copy-floor" disabled>${localize('Hints.CopyFloor')}</button>
+      </div>
+      <p class="notes">${localize('Hints.EmptyLocations')}</p>
+      ${blocks}`;
+  }
+
+  /**
+   * Read the hints entered in a form rendered with _renderHintLocations.
+   * Sets with no text are dropped and locations without any set are left
+   * out, so they use the floor hints. Texts are keyed by tier id.
+   * @param {jQuery} html The dialog content
+   * @returns {Object} Hints keyed by location, each an array of sets
+   */
+  _readHintLocations(html) {
+    const diffs = this.getHintTierIds();
+    const hints = {};
+    for (const loc of this.getLocations()) {
+      const sets = [];
+      html.find(`.ta-hint-loc[data-loc="${loc}"] .ta-hint-set`).each((idx, el) => {
+        const $el = $(el);
+        const i = $el.data('idx');
+        const set = {};
+        diffs.forEach((diff, t) => {
+          set[diff] = ($el.find(`[name="hint-${loc}-${i}-${t}"]`).val() || '').trim();
+        });
+        if (diffs.some(diff => set[diff])) sets.push(set);
+      });
+      if (sets.length) hints[loc] = sets;
+    }
+    return hints;
+  }
+
+  /**
+   * Attach the handlers for the hint editor rendered by
+   * _renderHintLocations: switching location, adding sets and copying the
+   * floor sets. The handlers are delegated from the document and work on
+   * whichever form the event came from, so one binding serves every open
+   * dialog.
+   */
+  _bindHintLocationControls() {
+    $(document).off('.taHintLocs');
+    $(document).on('change.taHintLocs', '.ta-hint-loc-select', ev => {
+      const form = $(ev.currentTarget).closest('form');
+      const loc = ev.currentTarget.value;
+      form.find('.ta-hint-loc').each((i, el) => {
+        $(el).toggle(el.dataset.loc === loc);
+      });
+      form.find('.ta-hint-copy-floor').prop('disabled', loc === 'floor');
+    });
+    $(document).on('click.taHintLocs', '.ta-hint-addset', ev => {
+      ev.preventDefault();
+      const block = $(ev.currentTarget).closest('.ta-hint-loc');
+      const container = block.find('.ta-hint-sets');
+      const idx = container.children('.ta-hint-set').length;
+      container.append(this._renderHintSet(idx, {}, block.data('loc')));
+    });
+    $(document).on('click.taHintLocs', '.ta-hint-copy-floor', ev => {
+      ev.preventDefault();
+      const form = $(ev.currentTarget).closest('form');
+      const loc = form.find('.ta-hint-loc-select').val();
+      if (!loc || loc === 'floor') return;
+      const floor = this._readHintLocations(form).floor || [];
+      const sets = floor.length ? floor : [{}];
+      form.find(`.ta-hint-loc[data-loc="${loc}"] .ta-hint-sets`)
+        .html(sets.map((s, idx) => this._renderHintSet(idx, s, loc)).join(''));
+    });
+  }
+
+  /**
+   * Render the damage fields of the trap add and edit forms: the default
+   * damage type and the die and scale used for severity damage (see
+   * getSeverityPreset).
+   * @param {Object} [def] Trap definition being edited
+   * @returns {string} HTML for the damage fields
+   */
+  _renderTrapDamageFields(def = {}) {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const dice = ['d4', 'd6', 'd8', 'd10', 'd12'];
+    const current = def.damageDie || 'd10';
+    if (!dice.includes(current)) dice.push(current);
+    return `<div class="form-group">
+        <label for="ta-trap-damage-type">${localize('Fields.DamageType')}</label>
+        <input type="text" id="ta-trap-damage-type" value="${esc(def.damageType)}" placeholder="${localize('Builder.DamageTypePlaceholder')}" />
+      </div>
+      <div class="form-group">
+        <label for="ta-trap-damage-die">${localize('Fields.DamageDie')}</label>
+        <select id="ta-trap-damage-die">${dice.map(d => `<option value="${d}"${d === current ? ' selected' : ''}>${d}</option>`).join('')}</select>
+      </div>
+      <div class="form-group">
+        <label for="ta-trap-damage-scale">${localize('Fields.DamageScale')}</label>
+        <input type="number" id="ta-trap-damage-scale" min="0.25" step="0.25" value="${esc(def.damageScale ?? 1)}" />
+      </div>`;
+  }
+
+  /**
+   * Read the fields rendered by _renderTrapDamageFields. Values left at
+   * their defaults are omitted unless keepDefaults is set, which the edit
+   * form uses so that a custom override can set a pack's values back to the
+   * defaults.
+   * @param {jQuery} html The dialog content
+   * @param {Object} [options]
+   * @param {boolean} [options.keepDefaults] Also return values left at
+   *   their defaults
+   * @returns {Object} { damageType, damageDie, damageScale }, as far as set
+   */
+  _readTrapDamageFields(html, { keepDefaults = false } = {}) {
+    const result = {};
+    const type = (html.find('#ta-trap-damage-type').val() || '').trim();
+    const die = html.find('#ta-trap-damage-die').val() || 'd10';
+    const scale = Number(html.find('#ta-trap-damage-scale').val());
+    if (type || keepDefaults) result.damageType = type;
+    if (die !== 'd10' || keepDefaults) result.damageDie = die;
+    if (scale > 0 && (scale !== 1 || keepDefaults)) result.damageScale = scale;
+    else if (keepDefaults) result.damageScale = 1;
+    return result;
+  }
+
+  /**
+   * Render the random weight field of the trap and cache forms (see
+   * getDefinitionWeight).
+   * @param {Object} [def] Definition being edited
+   * @returns {string} HTML for the weight field
+   */
+  _renderWeightField(def = {}) {
+    const weight = def.weight ?? 1;
+    return `<div class="form-group">
+        <label for="ta-def-weight">${localize('Fields.Weight')}</label>
+        <input type="number" id="ta-def-weight" min="0" step="any" value="${Handlebars.escapeExpression(String(weight))}" />
+      </div>`;
+  }
+
+  /**
+   * Read the field rendered by _renderWeightField. The default weight of 1
+   * is omitted unless keepDefaults is set, as for the damage fields.
+   * @param {jQuery} html The dialog content
+   * @param {Object} [options]
+   * @param {boolean} [options.keepDefaults] Also return the default weight
+   * @returns {Object} { weight }, if set
+   */
+  _readWeightField(html, { keepDefaults = false } = {}) {
+    const value = String(html.find('#ta-def-weight').val() ?? '').trim();
+    const weight = value ? Number(value) : 1;
+    if (!Number.isFinite(weight) || weight < 0) return {};
+    return weight !== 1 || keepDefaults ? { weight } : {};
+  }
+
   /**
    * Dialog for adding a trap. Prompts for category, trap name, save ability,
    * flavour description, failure text, success text and one or more hint
-   * sets. Additional sets may be added via the Add Set button.
+   * sets per location. Additional sets may be added via the Add Set button.
    */
   openAddTrapDialog() {
     // Build primary category list dynamically from existing categories. We gather
@@ -793,52 +1814,51 @@ class TrapAutomator {
     const saveOpts = saveTypes.map(s => `<option value="${s}">${s.toUpperCase()}</option>`).join('');
     const content = `<form id="ta-add-trap-form">
       <div class="form-group">
-        <label for="ta-add-trap-cat">Category:</label>
+        <label for="ta-add-trap-cat">${localize('Fields.Category')}</label>
         <select id="ta-add-trap-cat" name="ta-add-trap-cat">
           ${options}
         </select>
       </div>
       <div class="form-group" id="ta-add-trap-subcat-wrap" style="display:none;">
-        <label for="ta-add-trap-subcat">Sub-category:</label>
+        <label for="ta-add-trap-subcat">${localize('Fields.Subcategory')}</label>
         <select id="ta-add-trap-subcat" name="ta-add-trap-subcat">
           ${subOptions}
         </select>
       </div>
       <div class="form-group">
-        <label for="ta-add-trap-name">Name:</label>
+        <label for="ta-add-trap-name">${localize('Fields.Name')}</label>
         <input type="text" id="ta-add-trap-name" name="ta-add-trap-name" />
       </div>
       <div class="form-group">
-        <label for="ta-add-trap-save">Default Save Ability:</label>
+        <label for="ta-add-trap-save">${localize('Fields.DefaultSave')}</label>
         <select id="ta-add-trap-save" name="ta-add-trap-save">
           ${saveOpts}
         </select>
       </div>
       <div class="form-group">
-        <label for="ta-add-trap-desc">Trap Description:</label>
+        <label for="ta-add-trap-desc">${localize('Fields.TrapDescription')}</label>
         <textarea id="ta-add-trap-desc" name="ta-add-trap-desc" rows="2"></textarea>
       </div>
       <div class="form-group">
-        <label for="ta-add-trap-fail">Failure Text:</label>
+        <label for="ta-add-trap-fail">${localize('Fields.FailText')}</label>
         <input type="text" id="ta-add-trap-fail" name="ta-add-trap-fail" />
       </div>
       <div class="form-group">
-        <label for="ta-add-trap-success">Success Text:</label>
+        <label for="ta-add-trap-success">${localize('Fields.SuccessText')}</label>
         <input type="text" id="ta-add-trap-success" name="ta-add-trap-success" />
       </div>
+      ${this._renderTrapDamageFields()}
+      ${this._renderWeightField()}
       <hr/>
-      <h3>Hint Sets</h3>
-      <div id="ta-trap-sets">
-        ${this._renderHintSet(0)}
-      </div>
-      <button type="button" id="ta-add-trap-addset">Add Another Set</button>
+      <h3>${localize('Hints.Sets')}</h3>
+      ${this._renderHintLocations()}
     </form>`;
     const dlg = new Dialog({
-      title: 'Add Trap',
+      title: localize('Definitions.AddTrap'),
       content,
       buttons: {
         create: {
-          label: 'Create',
+          label: localize('Common.Create'),
           callback: async html => {
             let catVal = html.find('#ta-add-trap-cat').val();
             // If the category has a visible subcategory selector, use it as final category
@@ -846,7 +1866,7 @@ class TrapAutomator {
             const subSel = html.find('#ta-add-trap-subcat');
             if (subWrap.is(':visible')) {
               if (!subSel.length || !subSel.val()) {
-                ui.notifications.warn('Please select a sub-category.');
+                ui.notifications.warn(localize('Definitions.SelectSubcategory'));
                 return;
               }
               catVal = subSel.val();
@@ -857,24 +1877,13 @@ class TrapAutomator {
             const failText = html.find('#ta-add-trap-fail').val().trim();
             const successText = html.find('#ta-add-trap-success').val().trim();
             if (!name || !desc) {
-              ui.notifications.warn('Trap name and description are required.');
+              ui.notifications.warn(localize('Definitions.TrapRequired'));
               return;
             }
-            // Build hint sets
-            const sets = [];
-            html.find('.ta-hint-set').each((idx, el) => {
-              const $el = $(el);
-              const i = $el.data('idx');
-              const set = {
-                '+2': $el.find(`[name="hint-${i}-2"]`).val().trim(),
-                '+4': $el.find(`[name="hint-${i}-4"]`).val().trim(),
-                '+6': $el.find(`[name="hint-${i}-6"]`).val().trim(),
-                '+10': $el.find(`[name="hint-${i}-10"]`).val().trim()
-              };
-              sets.push(set);
-            });
-            if (!sets.length || !sets[0]['+2'] || !sets[0]['+4'] || !sets[0]['+6'] || !sets[0]['+10']) {
-              ui.notifications.warn('At least one complete hint set must be provided.');
+            // Build hint sets for each location
+            const hints = this._readHintLocations(html);
+            if (!Object.keys(hints).length) {
+              ui.notifications.warn(localize('Definitions.HintRequired'));
               return;
             }
             const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
@@ -890,30 +1899,21 @@ class TrapAutomator {
                 fail: failText,
                 success: successText
               },
-              hints: {
-                floor: sets,
-                wall: sets,
-                ceiling: sets,
-                other: sets
-              }
+              ...this._readTrapDamageFields(html),
+              ...this._readWeightField(html),
+              hints
             };
             await this.saveCustomDefinitions(custom);
-            ui.notifications.info(`Trap "${name}" added.`);
+            ui.notifications.info(localize('Definitions.TrapAdded', { name }));
           }
         },
-        cancel: { label: 'Cancel' }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'create'
     });
     dlg.render(true);
-    // Attach handlers for adding hint sets and updating subcategory options
-    $(document).off('click.taAddTrap');
-    $(document).on('click.taAddTrap', '#ta-add-trap-addset', ev => {
-      ev.preventDefault();
-      const container = $('#ta-trap-sets');
-      const idx = container.children('.ta-hint-set').length;
-      container.append(this._renderHintSet(idx));
-    });
+    // Attach handlers for the hint editor and updating subcategory options
+    this._bindHintLocationControls();
     $(document).off('change.taAddTrapCat');
     $(document).on('change.taAddTrapCat', '#ta-add-trap-cat', ev => {
       const val = ev.target.value;
@@ -962,42 +1962,42 @@ class TrapAutomator {
     const options = primaryCats.map(c => `<option value="${c}">${c.charAt(0).toUpperCase() + c.slice(1)}</option>`).join('');
     const content = `<form>
       <div class="form-group">
-        <label for="ta-add-subcat-prim">Primary category:</label>
+        <label for="ta-add-subcat-prim">${localize('Fields.PrimaryCategory')}</label>
         <select id="ta-add-subcat-prim">${options}</select>
       </div>
       <div class="form-group">
-        <label for="ta-add-subcat-name">Subcategory ID:</label>
+        <label for="ta-add-subcat-name">${localize('Fields.SubcategoryId')}</label>
         <input type="text" id="ta-add-subcat-name" />
       </div>
     </form>`;
     new Dialog({
-      title: 'Add Subcategory',
+      title: localize('Definitions.AddSubcategory'),
       content,
       buttons: {
         create: {
-          label: 'Create',
+          label: localize('Common.Create'),
           callback: async html => {
             const prim = html.find('#ta-add-subcat-prim').val();
             const rawName = html.find('#ta-add-subcat-name').val();
             const sub = this.slugify(rawName);
             if (!sub) {
-              ui.notifications.warn('Subcategory ID cannot be empty.');
+              ui.notifications.warn(localize('Definitions.SubcategoryEmpty'));
               return;
             }
             // Prevent duplicates by checking existing custom categories
             const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
             if (!custom.categories) custom.categories = {};
             if (custom.categories[sub]) {
-              ui.notifications.warn('Subcategory already exists in custom definitions.');
+              ui.notifications.warn(localize('Definitions.SubcategoryExists'));
               return;
             }
             // Add subcategory with primary reference
             custom.categories[sub] = { name: sub, primary: prim };
             await this.saveCustomDefinitions(custom);
-            ui.notifications.info(`Subcategory "${sub}" added under ${prim}.`);
+            ui.notifications.info(localize('Definitions.SubcategoryAdded', { subcategory: sub, primary: prim }));
           }
         },
-        cancel: { label: 'Cancel' }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'create'
     }).render(true);
@@ -1034,30 +2034,30 @@ class TrapAutomator {
     }).join('');
     const content = `<form>
       <div class="form-group">
-        <label for="ta-select-macro">Select macro:</label>
+        <label for="ta-select-macro">${localize('Fields.Macro')}</label>
         <select id="ta-select-macro" name="ta-select-macro" style="width:100%">
           ${options}
         </select>
       </div>
     </form>`;
     new Dialog({
-      title: 'Select Macro',
+      title: localize('Macro.Title'),
       content,
       buttons: {
         save: {
-          label: 'Save',
+          label: localize('Common.Save'),
           callback: async html => {
             const uuid = html.find('#ta-select-macro').val();
             if (!uuid) {
-              ui.notifications.warn('No macro selected.');
+              ui.notifications.warn(localize('Macro.NoneSelected'));
               return;
             }
             await game.settings.set('trap-automator', 'macroId', uuid);
-            ui.notifications.info('Trap Automator: macro updated. New traps will use the selected macro.');
+            ui.notifications.info(localize('Macro.Updated'));
           }
         },
         cancel: {
-          label: 'Cancel'
+          label: localize('Common.Cancel')
         }
       },
       default: 'save'
@@ -1065,72 +2065,452 @@ class TrapAutomator {
   }
 
   /**
-   * Dialog for editing categories. Currently supports renaming or deleting
-   * custom categories. Built‑in categories cannot be removed; editing
-   * built‑in categories will create a custom override that simply stores
-   * the new name. To keep things simple, renaming updates only the
-   * category key in custom definitions and does not cascade changes to
-   * existing traps or caches.
+   * Present the definition tools: importing and exporting definitions as
+   * JSON files, turning definition packs on or off, reviewing definitions
+   * that failed validation and restoring earlier versions.
+   */
+  openDefinitionToolsDialog() {
+    new Dialog({
+      title: localize('Tools.Title'),
+      content: `<p>${localize('Tools.Intro')}</p>`,
+      buttons: {
+        report: {
+          label: localize('Validation.Button'),
+          callback: () => this.openValidationReport()
+        },
+        packs: {
+          label: localize('Packs.Title'),
+          callback: () => this.openPacksDialog()
+        },
+        history: {
+          label: localize('History.Button'),
+          callback: () => this.openHistory()
+        },
+        export: {
+          label: localize('Export.Label'),
+          callback: () => this.openExportDialog()
+        },
+        import: {
+          label: localize('Import.Label'),
+          callback: () => this.openImportDialog()
+        },
+        cancel: { label: localize('Common.Cancel') }
+      },
+      default: 'export'
+    }).render(true);
+  }
+
+  /**
+   * Dialog for exporting custom definitions to a JSON file. Every custom
+   * category, trigger list, trap, cache and location is listed with a
+   * checkbox so a subset can be exported. The file uses the same layout as
+   * builtin-defs.json and can be read back with Import.
+   */
+  openExportDialog() {
+    const custom = game.settings.get('trap-automator', 'customDefs') || {};
+    const sections = [
+      ['categories', localize('Sections.Categories')],
+      ['triggers', localize('Sections.Triggers')],
+      ['trap', localize('Sections.Traps')],
+      ['cache', localize('Sections.Caches')],
+      ['locations', localize('Sections.Locations')]
+    ];
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    let body = '';
+    for (const [section, label] of sections) {
+      const entries = Object.entries(custom[section] || {});
+      if (!entries.length) continue;
+      const items = entries.map(([key, value]) => {
+        const name = section === 'triggers' ? `${key} (${(value || []).length})` : (value?.name || key);
+        return `<label style="display:block;"><input type="checkbox" name="${section}" value="${esc(key)}" checked /> ${esc(name)}</label>`;
+      }).join('');
+      body += `<fieldset><legend>${label}</legend>${items}</fieldset>`;
+    }
+    if (!body) {
+      ui.notifications.warn(localize('Export.NothingToExport'));
+      return;
+    }
+    new Dialog({
+      title: localize('Export.Title'),
+      content: `<form style="max-height:400px;overflow-y:auto;">${body}</form>`,
+      buttons: {
+        export: {
+          label: localize('Export.Label'),
+          callback: html => {
+            const data = {};
+            for (const [section] of sections) {
+              html.find(`input[name="${section}"]:checked`).each((idx, el) => {
+                if (!data[section]) data[section] = {};
+                data[section][el.value] = foundry.utils.deepClone(custom[section][el.value]);
+              });
+            }
+            if (!Object.keys(data).length) {
+              ui.notifications.warn(localize('Export.NothingSelected'));
+              return;
+            }
+            const filename = `trap-automator-${game.world.id}.json`;
+            foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), 'text/json', filename);
+          }
+        },
+        cancel: { label: localize('Common.Cancel') }
+      },
+      default: 'export'
+    }).render(true);
+  }
+
+  /**
+   * Dialog for choosing a definitions JSON file to import. Once read the
+   * file is checked for collisions with existing definitions and a preview
+   * is shown before anything is saved.
+   */
+  openImportDialog() {
+    const content = `<form>
+      <div class="form-group">
+        <label for="ta-import-file">${localize('Fields.ImportFile')}</label>
+        <input type="file" id="ta-import-file" accept=".json,application/json" />
+      </div>
+    </form>`;
+    new Dialog({
+      title: localize('Import.Title'),
+      content,
+      buttons: {
+        next: {
+          label: localize('Common.Next'),
+          callback: async html => {
+            const file = html.find('#ta-import-file')[0]?.files?.[0];
+            if (!file) {
+              ui.notifications.warn(localize('Import.NoFile'));
+              return;
+            }
+            let data;
+            try {
+              data = JSON.parse(await foundry.utils.readTextFromFile(file));
+            } catch (err) {
+              console.error('Trap Automator: failed to read import file', err);
+              ui.notifications.error(localize('Import.InvalidJson'));
+              return;
+            }
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+              ui.notifications.error(localize('Import.NotDefinitions'));
+              return;
+            }
+            this.openImportPreviewDialog(data);
+          }
+        },
+        cancel: { label: localize('Common.Cancel') }
+      },
+      default: 'next'
+    }).render(true);
+  }
+
+  /**
+   * Show what an import would add and which keys collide with existing
+   * definitions, then merge the import into the custom definitions. The GM
+   * chooses whether colliding entries overwrite the existing ones or are
+   * skipped. Trigger lists are combined rather than replaced.
+   * @param {Object} data Parsed definitions file
+   */
+  openImportPreviewDialog(data) {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const added = [];
+    const conflicts = [];
+    const sectionLabels = {
+      categories: localize('Types.Category'),
+      trap: localize('Types.Trap'),
+      cache: localize('Types.Cache'),
+      locations: localize('Types.Location')
+    };
+    for (const section of ['categories', 'trap', 'cache', 'locations']) {
+      const existing = section === 'categories'
+        ? Object.fromEntries(this.getAllCategories().map(c => [c, true]))
+        : (this.definitions[section] || {});
+      for (const key of Object.keys(data[section] || {})) {
+        (existing[key] ? conflicts : added).push(`${sectionLabels[section]}: ${key}`);
+      }
+    }
+    const triggerCount = Object.values(data.triggers || {}).reduce((n, list) => n + (Array.isArray(list) ? list.length : 0), 0);
+    if (!added.length && !conflicts.length && !triggerCount) {
+      ui.notifications.warn(localize('Import.Empty'));
+      return;
+    }
+    const list = items => `<ul style="max-height:150px;overflow-y:auto;">${items.map(i => `<li>${esc(i)}</li>`).join('')}</ul>`;
+    let content = `<p>${localize('Import.Summary', { count: added.length, triggers: triggerCount })}</p>`;
+    if (added.length) content += list(added);
+    if (conflicts.length) {
+      content += `<p>${localize('Import.Conflicts', { count: conflicts.length })}</p>${list(conflicts)}
+        <div class="form-group">
+          <label><input type="radio" name="ta-import-mode" value="overwrite" checked /> ${localize('Import.Overwrite')}</label>
+          <label><input type="radio" name="ta-import-mode" value="skip" /> ${localize('Import.Skip')}</label>
+        </div>`;
+    }
+    new Dialog({
+      title: localize('Import.PreviewTitle'),
+      content: `<form>${content}</form>`,
+      buttons: {
+        import: {
+          label: localize('Import.Label'),
+          callback: async html => {
+            const overwrite = html.find('[name="ta-import-mode"]:checked').val() !== 'skip';
+            await this.importDefinitions(data, { overwrite });
+          }
+        },
+        cancel: { label: localize('Common.Cancel') }
+      },
+      default: 'import'
+    }).render(true);
+  }
+
+  /**
+   * Merge imported definitions into the custom definitions and save them.
+   * @param {Object} data Definitions in the builtin-defs.json layout
+   * @param {Object} options
+   * @param {boolean} options.overwrite Replace entries whose keys already exist
+   */
+  async importDefinitions(data, { overwrite = true } = {}) {
+    data = this.normalizeDefinitions(data);
+    const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
+    const incoming = {};
+    for (const section of ['categories', 'trap', 'cache', 'locations']) {
+      if (!data[section] || typeof data[section] !== 'object') continue;
+      const existing = section === 'categories'
+        ? Object.fromEntries(this.getAllCategories().map(c => [c, true]))
+        : (this.definitions[section] || {});
+      incoming[section] = {};
+      for (const [key, value] of Object.entries(data[section])) {
+        if (!overwrite && existing[key]) continue;
+        // Replace whole entries rather than deep-merging into old ones.
+        if (custom[section]) delete custom[section][key];
+        incoming[section][key] = value;
+      }
+    }
+    if (data.triggers && typeof data.triggers === 'object') {
+      incoming.triggers = {};
+      for (const [cat, list] of Object.entries(data.triggers)) {
+        if (!Array.isArray(list)) continue;
+        const current = (custom.triggers && custom.triggers[cat]) || [];
+        incoming.triggers[cat] = Array.from(new Set(current.concat(list)));
+      }
+    }
+    this.mergeDefinitions(this.normalizeDefinitions(incoming), custom);
+    await this.saveCustomDefinitions(custom);
+    ui.notifications.info(localize('Import.Done'));
+  }
+
+  /**
+   * Work out what renaming a category touches: the trap and cache
+   * definitions filed under it, the subcategories whose primary it is, its
+   * trigger list and the placed traps that record it. Categories that the
+   * built‑in mapping folds into a primary (such as "misc" into "generic")
+   * count as the primary itself. Locations limited to the category are
+   * listed too.
+   * @param {string} oldCat Category to rename
+   * @returns {Object} { traps, caches, subs, triggers, locations, tiles }
+   *   where tiles is a list of tile documents across all scenes
+   */
+  getCategoryUsage(oldCat) {
+    const usage = { traps: [], caches: [], subs: [], triggers: [], locations: [], tiles: [] };
+    const names = new Set([oldCat]);
+    for (const c of this.getAllCategories()) {
+      if (c === oldCat) continue;
+      const { primary, sub } = this.categorizeCategory(c);
+      if (primary !== oldCat) continue;
+      if (sub) usage.subs.push(c);
+      else names.add(c);
+    }
+    for (const [type, list] of [['trap', usage.traps], ['cache', usage.caches]]) {
+      for (const [key, def] of Object.entries(this.definitions[type] || {})) {
+        if (names.has(def.category)) list.push(key);
+      }
+    }
+    usage.triggers = (this.definitions.triggers && this.definitions.triggers[oldCat]) || [];
+    for (const [id, location] of Object.entries(this.definitions.locations || {})) {
+      if (Array.isArray(location.categories) && location.categories.includes(oldCat)) usage.locations.push(id);
+    }
+    for (const scene of game.scenes) {
+      for (const tile of scene.tiles) {
+        if (names.has(tile.getFlag('trap-automator', 'trapData')?.category)) usage.tiles.push(tile);
+      }
+    }
+    return usage;
+  }
+
+  /**
+   * Rename a category everywhere it is used. The custom category entry is
+   * moved to the new key with its primary link kept; builtin categories
+   * get a custom entry carrying their primary. Trap and cache definitions
+   * from any source are overridden with the new category, subcategories
+   * are relinked to the new primary, the trigger list moves with the
+   * category, locations limited to it are limited to the new key instead
+   * and a hidden category stays hidden. Placed traps are updated on
+   * request.
+   * @param {string} oldCat Current category key
+   * @param {string} newCat New category key
+   * @param {Object} options
+   * @param {boolean} options.updateTiles Also rewrite the trap data of
+   *   placed tiles that record the old category
+   */
+  async renameCategory(oldCat, newCat, { updateTiles = false } = {}) {
+    const usage = this.getCategoryUsage(oldCat);
+    const { primary, sub } = this.categorizeCategory(oldCat);
+    const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
+    if (!custom.categories) custom.categories = {};
+    const info = custom.categories[oldCat] || (sub ? { primary } : {});
+    delete custom.categories[oldCat];
+    custom.categories[newCat] = { ...info, ...(custom.categories[newCat] || {}), name: newCat };
+    for (const [type, keys] of [['trap', usage.traps], ['cache', usage.caches]]) {
+      if (!keys.length) continue;
+      if (!custom[type]) custom[type] = {};
+      for (const key of keys) custom[type][key] = { ...(custom[type][key] || {}), category: newCat };
+    }
+    for (const subCat of usage.subs) {
+      custom.categories[subCat] = { ...(custom.categories[subCat] || { name: subCat }), primary: newCat };
+    }
+    if (usage.triggers.length || (custom.triggers && custom.triggers[oldCat])) {
+      if (!custom.triggers) custom.triggers = {};
+      const existing = custom.triggers[newCat] || (this.definitions.triggers && this.definitions.triggers[newCat]) || [];
+      custom.triggers[newCat] = Array.from(new Set(existing.concat(usage.triggers)));
+      delete custom.triggers[oldCat];
+    }
+    if (usage.locations.length) {
+      if (!custom.locations) custom.locations = {};
+      for (const id of usage.locations) {
+        const categories = this.definitions.locations[id].categories.map(c => (c === oldCat ? newCat : c));
+        custom.locations[id] = { ...(custom.locations[id] || {}), categories: Array.from(new Set(categories)) };
+      }
+    }
+    // A hidden category stays hidden under its new name.
+    const hidden = this.getHiddenDefinitions();
+    if (hidden.primaries.includes(oldCat) || hidden.subcategories.includes(oldCat)) {
+      const rename = list => Array.from(new Set(list.map(c => (c === oldCat ? newCat : c))));
+      await game.settings.set('trap-automator', 'hiddenDefinitions', {
+        ...hidden,
+        primaries: rename(hidden.primaries),
+        subcategories: rename(hidden.subcategories)
+      });
+    }
+    await this.saveCustomDefinitions(custom);
+    let updated = 0;
+    if (updateTiles) {
+      for (const tile of usage.tiles) {
+        const trapData = { ...tile.getFlag('trap-automator', 'trapData'), category: newCat };
+        try {
+          await this.writeTrapToTile(tile, trapData);
+          updated++;
+        } catch (err) {
+          console.error(`Trap Automator: failed to update tile ${tile.id} on scene ${tile.parent?.name}`, err);
+        }
+      }
+    }
+    let message = localize('Rename.Done', { old: oldCat, new: newCat });
+    if (updated) message += ` ${localize('Rename.TilesUpdated', { count: updated })}`;
+    ui.notifications.info(message);
+  }
+
+  /**
+   * Confirm a category rename, listing what it will change and offering
+   * to update the placed traps that record the old category.
+   * @param {string} oldCat Current category key
+   * @param {string} newCat New category key
+   */
+  confirmCategoryRename(oldCat, newCat) {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const usage = this.getCategoryUsage(oldCat);
+    const sceneCount = new Set(usage.tiles.map(t => t.parent.id)).size;
+    const exists = this.getAllCategories().includes(newCat);
+    const items = [
+      localize('Rename.Definitions', { traps: usage.traps.length, caches: usage.caches.length }),
+      `${localize('Rename.Subcategories', { count: usage.subs.length })}${usage.subs.length ? `: ${usage.subs.map(esc).join(', ')}` : ''}`,
+      localize('Rename.Triggers', { count: usage.triggers.length }),
+      localize('Rename.Locations', { count: usage.locations.length })
+    ];
+    const content = `<form>
+      <p>${localize('Rename.Intro', { old: esc(oldCat), new: esc(newCat) })}</p>
+      <ul>${items.map(i => `<li>${i}</li>`).join('')}</ul>
+      ${exists ? `<p><strong>${localize('Rename.Merge', { category: esc(newCat) })}</strong></p>` : ''}
+      ${usage.tiles.length ? `<div class="form-group">
+        <label><input type="checkbox" name="ta-rename-tiles" checked /> ${localize('Rename.UpdateTiles', { count: usage.tiles.length, scenes: sceneCount })}</label>
+      </div>` : ''}
+    </form>`;
+    new Dialog({
+      title: localize('Rename.Title'),
+      content,
+      buttons: {
+        rename: {
+          label: localize('Rename.Button'),
+          callback: html => this.renameCategory(oldCat, newCat, {
+            updateTiles: html.find('[name="ta-rename-tiles"]').is(':checked')
+          })
+        },
+        cancel: { label: localize('Common.Cancel') }
+      },
+      default: 'rename'
+    }).render(true);
+  }
+
+  /**
+   * Dialog for editing categories. Supports renaming any category or
+   * deleting custom categories. Built‑in categories cannot be removed.
+   * Renaming cascades to every definition, trigger list and subcategory
+   * that uses the category (see renameCategory).
    */
   openEditCategoryDialog() {
     // Retrieve categories from builtin and custom definitions
     const cats = this.getAllCategories();
     if (!cats.length) {
-      ui.notifications.warn('No categories available to edit.');
+      ui.notifications.warn(localize('Definitions.NoCategories'));
       return;
     }
     const options = cats.map(c => `<option value="${c}">${c}</option>`).join('');
     const content = `<form>
       <div class="form-group">
-        <label for="ta-edit-cat-sel">Select category:</label>
+        <label for="ta-edit-cat-sel">${localize('Fields.SelectCategory')}</label>
         <select id="ta-edit-cat-sel" name="ta-edit-cat-sel">
           ${options}
         </select>
       </div>
       <div class="form-group">
-        <label for="ta-edit-cat-new">New name (slug):</label>
+        <label for="ta-edit-cat-new">${localize('Fields.NewSlug')}</label>
         <input type="text" id="ta-edit-cat-new" name="ta-edit-cat-new" />
       </div>
     </form>`;
     new Dialog({
-      title: 'Edit Category',
+      title: localize('Definitions.EditCategory'),
       content,
       buttons: {
         save: {
-          label: 'Save',
+          label: localize('Common.Save'),
           callback: async html => {
             const oldCat = html.find('#ta-edit-cat-sel').val();
             const newCat = this.slugify(html.find('#ta-edit-cat-new').val());
             if (!newCat) {
-              ui.notifications.warn('You must enter a new category name.');
+              ui.notifications.warn(localize('Definitions.NewCategoryEmpty'));
               return;
             }
-            const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
-            if (!custom.categories) custom.categories = {};
-            // Rename custom category or create override
-            delete custom.categories[oldCat];
-            custom.categories[newCat] = { name: newCat };
-            await this.saveCustomDefinitions(custom);
-            ui.notifications.info(`Category "${oldCat}" renamed to "${newCat}".`);
+            if (newCat === oldCat) {
+              ui.notifications.warn(localize('Definitions.SameName'));
+              return;
+            }
+            this.confirmCategoryRename(oldCat, newCat);
           }
         },
         delete: {
-          label: 'Delete',
+          label: localize('Common.Delete'),
           callback: async html => {
             const catToDelete = html.find('#ta-edit-cat-sel').val();
             // Only allow deletion of custom categories
             const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
             if (!custom.categories || !custom.categories[catToDelete]) {
-              ui.notifications.warn('Only custom categories may be deleted.');
+              ui.notifications.warn(localize('Definitions.CategoryNotCustom'));
               return;
             }
             // Confirm deletion
             new Dialog({
-              title: 'Confirm Deletion',
-              content: `<p>Are you sure you want to delete the category "${catToDelete}" and all associated triggers, traps and caches?</p>`,
+              title: localize('Common.ConfirmDeletion'),
+              content: `<p>${localize('Definitions.DeleteCategoryConfirm', { category: catToDelete })}</p>
+                <p>${localize('History.RestoreHint')}</p>`,
               buttons: {
                 yes: {
-                  label: 'Delete',
+                  label: localize('Common.Delete'),
                   callback: async () => {
                     // Remove category
                     delete custom.categories[catToDelete];
@@ -1155,16 +2535,16 @@ class TrapAutomator {
                       }
                     }
                     await this.saveCustomDefinitions(custom);
-                    ui.notifications.info(`Category "${catToDelete}" and related definitions deleted.`);
+                    ui.notifications.info(localize('Definitions.CategoryDeleted', { category: catToDelete }));
                   }
                 },
-                no: { label: 'Cancel' }
+                no: { label: localize('Common.Cancel') }
               },
               default: 'no'
             }).render(true);
           }
         },
-        cancel: { label: 'Cancel' }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'save'
     }).render(true);
@@ -1211,9 +2591,9 @@ class TrapAutomator {
         return true;
       });
     }
-    const cats = Object.keys(trigMap);
+    const cats = Object.keys(trigMap).filter(c => !this.isCategoryHidden(c));
     if (!cats.length) {
-      ui.notifications.warn('No triggers available to edit.');
+      ui.notifications.warn(localize('Definitions.NoTriggers'));
       return;
     }
     const catOptions = cats.map(c => `<option value="${c}">${c}</option>`).join('');
@@ -1225,34 +2605,34 @@ class TrapAutomator {
     let trigOptions = buildTriggerSelect(selectedCat);
     const content = `<form id="ta-edit-trigger-form">
       <div class="form-group">
-        <label for="ta-edit-trig-cat">Category:</label>
+        <label for="ta-edit-trig-cat">${localize('Fields.Category')}</label>
         <select id="ta-edit-trig-cat" name="ta-edit-trig-cat">
           ${catOptions}
         </select>
       </div>
       <div class="form-group">
-        <label for="ta-edit-trig-sel">Trigger:</label>
+        <label for="ta-edit-trig-sel">${localize('Fields.Trigger')}</label>
         <select id="ta-edit-trig-sel" name="ta-edit-trig-sel">
           ${trigOptions}
         </select>
       </div>
       <div class="form-group">
-        <label for="ta-edit-trig-new">New trigger text:</label>
+        <label for="ta-edit-trig-new">${localize('Fields.NewTriggerText')}</label>
         <input type="text" id="ta-edit-trig-new" name="ta-edit-trig-new" />
       </div>
     </form>`;
     const dlg = new Dialog({
-      title: 'Edit Trigger',
+      title: localize('Definitions.EditTrigger'),
       content,
       buttons: {
         save: {
-          label: 'Save',
+          label: localize('Common.Save'),
           callback: async html => {
             const catVal = html.find('#ta-edit-trig-cat').val();
             const oldTrig = html.find('#ta-edit-trig-sel').val();
             const newTrig = html.find('#ta-edit-trig-new').val().trim();
             if (!newTrig) {
-              ui.notifications.warn('You must enter a new trigger text.');
+              ui.notifications.warn(localize('Definitions.NewTriggerEmpty'));
               return;
             }
             // Build custom object and replace the trigger
@@ -1266,11 +2646,11 @@ class TrapAutomator {
             // Add the new trigger
             custom.triggers[catVal].push(newTrig);
             await this.saveCustomDefinitions(custom);
-            ui.notifications.info(`Trigger updated under category "${catVal}".`);
+            ui.notifications.info(localize('Definitions.TriggerUpdated', { category: catVal }));
           }
         },
         delete: {
-          label: 'Delete',
+          label: localize('Common.Delete'),
           callback: async html => {
             const catVal = html.find('#ta-edit-trig-cat').val();
             const oldTrig = html.find('#ta-edit-trig-sel').val();
@@ -1286,16 +2666,16 @@ class TrapAutomator {
               }
             } catch (err) {}
             if (!baseList.includes(oldTrig)) {
-              ui.notifications.warn('Cannot delete a trigger that is not defined.');
+              ui.notifications.warn(localize('Definitions.TriggerUndefined'));
               return;
             }
             // Show confirm dialog
             new Dialog({
-              title: 'Confirm Deletion',
-              content: `<p>Are you sure you want to delete the trigger "${oldTrig}" from category ${catVal}?</p>`,
+              title: localize('Common.ConfirmDeletion'),
+              content: `<p>${localize('Definitions.DeleteTriggerConfirm', { trigger: oldTrig, category: catVal })}</p>`,
               buttons: {
                 yes: {
-                  label: 'Delete',
+                  label: localize('Common.Delete'),
                   callback: async () => {
                     const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
                     if (!custom.triggers) custom.triggers = {};
@@ -1303,16 +2683,16 @@ class TrapAutomator {
                     const newList = baseList.filter(t => t !== oldTrig);
                     custom.triggers[catVal] = newList;
                     await this.saveCustomDefinitions(custom);
-                    ui.notifications.info(`Trigger "${oldTrig}" deleted from category "${catVal}".`);
+                    ui.notifications.info(localize('Definitions.TriggerDeleted', { trigger: oldTrig, category: catVal }));
                   }
                 },
-                no: { label: 'Cancel' }
+                no: { label: localize('Common.Cancel') }
               },
               default: 'no'
             }).render(true);
           }
         },
-        cancel: { label: 'Cancel' }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'save'
     });
@@ -1349,7 +2729,7 @@ class TrapAutomator {
     }
     const cats = Object.keys(catMap);
     if (!cats.length) {
-      ui.notifications.warn('No caches available to edit.');
+      ui.notifications.warn(localize('Definitions.NoCaches'));
       return;
     }
     const catOptions = cats.map(c => `<option value="${c}">${c}</option>`).join('');
@@ -1358,78 +2738,23 @@ class TrapAutomator {
     };
     let selectedCat = cats[0];
     let cacheOptions = buildCacheSelect(selectedCat);
-    const buildForm = (cat, key) => {
-      const def = (catMap[cat].find(item => item.key === key) || {}).def;
-      const sets = [];
-      // Convert hints to array of sets. If hints[loc] is array treat as sets, else assemble sets from diff arrays
-      if (def.hints && def.hints.floor) {
-        const h = def.hints.floor;
-        if (Array.isArray(h)) {
-          for (const set of h) sets.push(set);
-        } else {
-          // Build sets from diff arrays; assume arrays all same length; choose length of +2 array
-          const plus2 = h['+2'] || [];
-          for (let i = 0; i < plus2.length; i++) {
-            const set = {
-              '+2': h['+2'][i] || '',
-              '+4': (h['+4'] && h['+4'][i]) || '',
-              '+6': (h['+6'] && h['+6'][i]) || '',
-              '+10': (h['+10'] && h['+10'][i]) || ''
-            };
-            sets.push(set);
-          }
-        }
-      }
-      let setsHtml = '';
-      sets.forEach((set, idx) => {
-        setsHtml += this._renderHintSet(idx);
-      });
-      if (!setsHtml) setsHtml = this._renderHintSet(0);
-      const content = `<form id="ta-edit-cache-form">
-        <div class="form-group">
-          <label for="ta-edit-cache-cat">Category:</label>
-          <select id="ta-edit-cache-cat" name="ta-edit-cache-cat">
-            ${catOptions}
-          </select>
-        </div>
-        <div class="form-group">
-          <label for="ta-edit-cache-key">Cache:</label>
-          <select id="ta-edit-cache-key" name="ta-edit-cache-key">
-            ${cacheOptions}
-          </select>
-        </div>
-        <div class="form-group">
-          <label for="ta-edit-cache-name">Name:</label>
-          <input type="text" id="ta-edit-cache-name" value="${def.name || ''}" />
-        </div>
-        <div class="form-group">
-          <label for="ta-edit-cache-desc">Description:</label>
-          <textarea id="ta-edit-cache-desc" rows="3">${(def.description && def.description.found) || ''}</textarea>
-        </div>
-        <hr/>
-        <h3>Hint Sets</h3>
-        <div id="ta-edit-cache-sets">${setsHtml}</div>
-        <button type="button" id="ta-edit-cache-addset">Add Another Set</button>
-      </form>`;
-      return content;
-    };
     // Outer dialog for selecting which cache to edit
     const outerContent = `<form id="ta-edit-cache-select">
       <div class="form-group">
-        <label for="ta-edit-cache-cat-sel">Category:</label>
+        <label for="ta-edit-cache-cat-sel">${localize('Fields.Category')}</label>
         <select id="ta-edit-cache-cat-sel">${catOptions}</select>
       </div>
       <div class="form-group">
-        <label for="ta-edit-cache-key-sel">Cache:</label>
+        <label for="ta-edit-cache-key-sel">${localize('Fields.Cache')}</label>
         <select id="ta-edit-cache-key-sel">${cacheOptions}</select>
       </div>
     </form>`;
     const dlg = new Dialog({
-      title: 'Select Cache to Edit',
+      title: localize('Definitions.SelectCache'),
       content: outerContent,
       buttons: {
         next: {
-          label: 'Next',
+          label: localize('Common.Next'),
           callback: html => {
             const catVal = html.find('#ta-edit-cache-cat-sel').val();
             const keyVal = html.find('#ta-edit-cache-key-sel').val();
@@ -1437,7 +2762,7 @@ class TrapAutomator {
             this.openEditCacheForm(catVal, keyVal, catMap);
           }
         },
-        cancel: { label: 'Cancel' }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'next'
     });
@@ -1459,7 +2784,8 @@ class TrapAutomator {
    * Helper to open the actual cache editing form after a cache has been
    * selected. Accepts the category and key, and a precomputed mapping of
    * categories to definitions. Allows adding/removing hint sets and
-   * modifying name/description. Saves as a custom override on submit.
+   * modifying name/description. Saves as a custom override on submit; an
+   * existing override of a pack definition can be reset to the original.
    * @param {string} cat Selected category
    * @param {string} key Selected cache key
    * @param {Object} catMap Precomputed map of category->[{key,name,def}]
@@ -1467,132 +2793,91 @@ class TrapAutomator {
   openEditCacheForm(cat, key, catMap) {
     const def = (catMap[cat].find(item => item.key === key) || {}).def;
     if (!def) {
-      ui.notifications.error('Selected cache definition not found.');
+      ui.notifications.error(localize('Definitions.CacheNotFound'));
       return;
     }
     // Build sets from existing definition
-    const sets = [];
-    if (def.hints && def.hints.floor) {
-      const h = def.hints.floor;
-      if (Array.isArray(h)) {
-        for (const set of h) sets.push(set);
-      } else {
-        const plus2 = h['+2'] || [];
-        for (let i = 0; i < plus2.length; i++) {
-          sets.push({
-            '+2': h['+2'][i] || '',
-            '+4': (h['+4'] && h['+4'][i]) || '',
-            '+6': (h['+6'] && h['+6'][i]) || '',
-            '+10': (h['+10'] && h['+10'][i]) || ''
-          });
-        }
-      }
-    }
-    let setsHtml = '';
-    sets.forEach((s, idx) => {
-      setsHtml += `<div class="ta-hint-set" data-idx="${idx}" style="margin-bottom:1em;border:1px solid #666;padding:0.5em;">
-        <strong>Set ${idx + 1}</strong><br/>
-        <label>+2:</label> <input type="text" name="hint-${idx}-2" value="${s['+2'] || ''}" /><br/>
-        <label>+4:</label> <input type="text" name="hint-${idx}-4" value="${s['+4'] || ''}" /><br/>
-        <label>+6:</label> <input type="text" name="hint-${idx}-6" value="${s['+6'] || ''}" /><br/>
-        <label>+10:</label> <input type="text" name="hint-${idx}-10" value="${s['+10'] || ''}" /><br/>
-      </div>`;
-    });
-    if (!setsHtml) setsHtml = this._renderHintSet(0);
+    const setsHtml = this._renderHintLocations(def.hints || {});
+    const stored = game.settings.get('trap-automator', 'customDefs') || {};
+    const isOverride = !!(stored.cache && stored.cache[key]) && this.hasPackDefinition('cache', key);
     const content = `<form id="ta-edit-cache-form2">
       <div class="form-group">
-        <label for="ta-edit-cache-name2">Name:</label>
+        <label for="ta-edit-cache-name2">${localize('Fields.Name')}</label>
         <input type="text" id="ta-edit-cache-name2" value="${def.name || ''}" />
       </div>
       <div class="form-group">
-        <label for="ta-edit-cache-desc2">Description:</label>
+        <label for="ta-edit-cache-desc2">${localize('Fields.Description')}</label>
         <textarea id="ta-edit-cache-desc2" rows="3">${(def.description && def.description.found) || ''}</textarea>
       </div>
+      ${this._renderWeightField(def)}
       <hr/>
-      <h3>Hint Sets</h3>
-      <div id="ta-edit-cache-sets2">${setsHtml}</div>
-      <button type="button" id="ta-edit-cache-addset2">Add Another Set</button>
+      <h3>${localize('Hints.Sets')}</h3>
+      ${setsHtml}
     </form>`;
     const dlg = new Dialog({
-      title: `Edit Cache: ${def.name || key}`,
+      title: localize('Definitions.EditCache', { name: def.name || key }),
       content,
       buttons: {
         save: {
-          label: 'Save',
+          label: localize('Common.Save'),
           callback: async html => {
             const newName = html.find('#ta-edit-cache-name2').val().trim();
             const newDesc = html.find('#ta-edit-cache-desc2').val().trim();
-            // Build sets
-            const sets2 = [];
-            html.find('.ta-hint-set').each((idx, el) => {
-              const $el = $(el);
-              const i = $el.data('idx');
-              sets2.push({
-                '+2': $el.find(`[name="hint-${i}-2"]`).val().trim(),
-                '+4': $el.find(`[name="hint-${i}-4"]`).val().trim(),
-                '+6': $el.find(`[name="hint-${i}-6"]`).val().trim(),
-                '+10': $el.find(`[name="hint-${i}-10"]`).val().trim()
-              });
-            });
+            const hints = this._readHintLocations(html);
             const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
             if (!custom.cache) custom.cache = {};
             custom.cache[key] = {
               name: newName || key,
               category: cat,
               description: { found: newDesc },
-              hints: {
-                floor: sets2,
-                wall: sets2,
-                ceiling: sets2,
-                other: sets2
-              }
+              ...this._readWeightField(html, { keepDefaults: true }),
+              hints,
+              ...(def.i18n ? { i18n: def.i18n } : {})
             };
             await this.saveCustomDefinitions(custom);
-            ui.notifications.info(`Cache "${newName || def.name}" saved.`);
+            ui.notifications.info(localize('Definitions.CacheSaved', { name: newName || def.name }));
           }
         },
+        ...(isOverride ? {
+          reset: {
+            label: localize('Definitions.ResetButton'),
+            callback: () => this.resetDefinition('cache', key)
+          }
+        } : {}),
         delete: {
-          label: 'Delete',
+          label: localize('Common.Delete'),
           callback: () => {
-            // Only allow deletion of custom caches
+            // Only allow deletion of custom caches; overrides are reset instead
             const customDefs = game.settings.get('trap-automator', 'customDefs') || {};
-            if (!customDefs.cache || !customDefs.cache[key]) {
-              ui.notifications.warn('Only custom caches may be deleted.');
+            if (!customDefs.cache || !customDefs.cache[key] || this.hasPackDefinition('cache', key)) {
+              ui.notifications.warn(localize('Definitions.CacheNotCustom'));
               return;
             }
             new Dialog({
-              title: 'Confirm Deletion',
-              content: `<p>Are you sure you want to delete the cache "${def.name || key}"?</p>`,
+              title: localize('Common.ConfirmDeletion'),
+              content: `<p>${localize('Definitions.DeleteCacheConfirm', { name: def.name || key })}</p>`,
               buttons: {
                 yes: {
-                  label: 'Delete',
+                  label: localize('Common.Delete'),
                   callback: async () => {
                     const custom = duplicate(customDefs);
                     delete custom.cache[key];
                     await this.saveCustomDefinitions(custom);
-                    ui.notifications.info(`Cache "${def.name || key}" deleted.`);
+                    ui.notifications.info(localize('Definitions.CacheDeleted', { name: def.name || key }));
                   }
                 },
-                no: { label: 'Cancel' }
+                no: { label: localize('Common.Cancel') }
               },
               default: 'no'
             }).render(true);
           }
         },
-        cancel: { label: 'Cancel' }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'save'
     });
     dlg.render(true);
-    $(document).on('click.taEditCache', '#ta-edit-cache-addset2', ev => {
-      ev.preventDefault();
-      const container = $('#ta-edit-cache-sets2');
-      const idx = container.children('.ta-hint-set').length;
-      container.append(this._renderHintSet(idx));
-    });
-    Hooks.once('closeDialog', () => {
-      $(document).off('click.taEditCache');
-    });
+    this._bindHintLocationControls();
   }
 
   /**
@@ -1611,31 +2896,31 @@ class TrapAutomator {
     }
     const cats = Object.keys(catMap);
     if (!cats.length) {
-      ui.notifications.warn('No traps available to edit.');
+      ui.notifications.warn(localize('Definitions.NoTraps'));
       return;
     }
     // Ask user to select a category first; then open trap selection
     const catOptions = cats.map(c => `<option value="${c}">${c}</option>`).join('');
     const content = `<form>
       <div class="form-group">
-        <label for="ta-edit-trap-cat-sel">Select category:</label>
+        <label for="ta-edit-trap-cat-sel">${localize('Fields.SelectCategory')}</label>
         <select id="ta-edit-trap-cat-sel" name="ta-edit-trap-cat-sel">
           ${catOptions}
         </select>
       </div>
     </form>`;
     new Dialog({
-      title: 'Select Trap Category',
+      title: localize('Definitions.SelectTrapCategory'),
       content,
       buttons: {
         next: {
-          label: 'Next',
+          label: localize('Common.Next'),
           callback: html => {
             const catVal = html.find('#ta-edit-trap-cat-sel').val();
             this.openEditTrapSelect(catVal, catMap);
           }
         },
-        cancel: { label: 'Cancel' }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'next'
     }).render(true);
@@ -1652,31 +2937,31 @@ class TrapAutomator {
   openEditTrapSelect(cat, catMap) {
     const traps = catMap[cat] || [];
     if (!traps.length) {
-      ui.notifications.warn('No traps available in the selected category.');
+      ui.notifications.warn(localize('Definitions.NoTrapsInCategory'));
       return;
     }
     const trapOptions = traps.map(({ key, name }) => `<option value="${key}">${name}</option>`).join('');
     const content = `<form>
       <div class="form-group">
-        <label for="ta-edit-trap-key-sel">Select trap:</label>
+        <label for="ta-edit-trap-key-sel">${localize('Fields.SelectTrap')}</label>
         <select id="ta-edit-trap-key-sel" name="ta-edit-trap-key-sel">
           ${trapOptions}
         </select>
       </div>
     </form>`;
     new Dialog({
-      title: `Select Trap in ${cat}`,
+      title: localize('Definitions.SelectTrap', { category: cat }),
       content,
       buttons: {
         next: {
-          label: 'Next',
+          label: localize('Common.Next'),
           callback: html => {
             const key = html.find('#ta-edit-trap-key-sel').val();
             this.openEditTrapForm(cat, key, catMap);
           }
         },
         back: {
-          label: 'Back',
+          label: localize('Common.Back'),
           callback: () => {
             // Return to initial category selection
             this.openEditTrapDialog();
@@ -1690,7 +2975,8 @@ class TrapAutomator {
   /**
    * Helper to open the actual trap editing form. Prepopulates fields
    * including save ability, description, failure, success and hint sets.
-   * After editing the trap is stored as a custom override.
+   * After editing the trap is stored as a custom override. An existing
+   * override of a pack definition can be reset to the original.
    * @param {string} cat Selected category
    * @param {string} key Selected trap key
    * @param {Object} catMap Precomputed map of categories to trap definitions
@@ -1699,89 +2985,55 @@ class TrapAutomator {
     const entry = (catMap[cat] || []).find(item => item.key === key);
     const def = entry && entry.def;
     if (!def) {
-      ui.notifications.error('Selected trap definition not found.');
+      ui.notifications.error(localize('Definitions.TrapNotFound'));
       return;
     }
     // Build hint sets from definition
-    const sets = [];
-    if (def.hints && def.hints.floor) {
-      const h = def.hints.floor;
-      if (Array.isArray(h)) {
-        for (const set of h) sets.push(set);
-      } else {
-        const plus2 = h['+2'] || [];
-        for (let i = 0; i < plus2.length; i++) {
-          sets.push({
-            '+2': h['+2'][i] || '',
-            '+4': (h['+4'] && h['+4'][i]) || '',
-            '+6': (h['+6'] && h['+6'][i]) || '',
-            '+10': (h['+10'] && h['+10'][i]) || ''
-          });
-        }
-      }
-    }
-    let setsHtml = '';
-    sets.forEach((s, idx) => {
-      setsHtml += `<div class="ta-hint-set" data-idx="${idx}" style="margin-bottom:1em;border:1px solid #666;padding:0.5em;">
-        <strong>Set ${idx + 1}</strong><br/>
-        <label>+2:</label> <input type="text" name="hint-${idx}-2" value="${s['+2'] || ''}" /><br/>
-        <label>+4:</label> <input type="text" name="hint-${idx}-4" value="${s['+4'] || ''}" /><br/>
-        <label>+6:</label> <input type="text" name="hint-${idx}-6" value="${s['+6'] || ''}" /><br/>
-        <label>+10:</label> <input type="text" name="hint-${idx}-10" value="${s['+10'] || ''}" /><br/>
-      </div>`;
-    });
-    if (!setsHtml) setsHtml = this._renderHintSet(0);
+    const setsHtml = this._renderHintLocations(def.hints || {});
+    const stored = game.settings.get('trap-automator', 'customDefs') || {};
+    const isOverride = !!(stored.trap && stored.trap[key]) && this.hasPackDefinition('trap', key);
     const saveTypes = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
     const saveOpts = saveTypes.map(s => `<option value="${s}"${def.defaultSave && def.defaultSave.toLowerCase() === s ? ' selected' : ''}>${s.toUpperCase()}</option>`).join('');
     const content = `<form id="ta-edit-trap-form2">
       <div class="form-group">
-        <label for="ta-edit-trap-name2">Name:</label>
+        <label for="ta-edit-trap-name2">${localize('Fields.Name')}</label>
         <input type="text" id="ta-edit-trap-name2" value="${def.name || key}" />
       </div>
       <div class="form-group">
-        <label for="ta-edit-trap-save2">Default Save Ability:</label>
+        <label for="ta-edit-trap-save2">${localize('Fields.DefaultSave')}</label>
         <select id="ta-edit-trap-save2">${saveOpts}</select>
       </div>
       <div class="form-group">
-        <label for="ta-edit-trap-desc2">Description:</label>
+        <label for="ta-edit-trap-desc2">${localize('Fields.Description')}</label>
         <textarea id="ta-edit-trap-desc2" rows="2">${(def.description && def.description.flavor) || ''}</textarea>
       </div>
       <div class="form-group">
-        <label for="ta-edit-trap-fail2">Failure Text:</label>
+        <label for="ta-edit-trap-fail2">${localize('Fields.FailText')}</label>
         <input type="text" id="ta-edit-trap-fail2" value="${(def.description && def.description.fail) || ''}" />
       </div>
       <div class="form-group">
-        <label for="ta-edit-trap-success2">Success Text:</label>
+        <label for="ta-edit-trap-success2">${localize('Fields.SuccessText')}</label>
         <input type="text" id="ta-edit-trap-success2" value="${(def.description && def.description.success) || ''}" />
       </div>
+      ${this._renderTrapDamageFields(def)}
+      ${this._renderWeightField(def)}
       <hr/>
-      <h3>Hint Sets</h3>
-      <div id="ta-edit-trap-sets2">${setsHtml}</div>
-      <button type="button" id="ta-edit-trap-addset2">Add Another Set</button>
+      <h3>${localize('Hints.Sets')}</h3>
+      ${setsHtml}
     </form>`;
     const dlg = new Dialog({
-      title: `Edit Trap: ${def.name || key}`,
+      title: localize('Definitions.EditTrap', { name: def.name || key }),
       content,
       buttons: {
         save: {
-          label: 'Save',
+          label: localize('Common.Save'),
           callback: async html => {
             const newName = html.find('#ta-edit-trap-name2').val().trim();
             const newSave = html.find('#ta-edit-trap-save2').val();
             const newDesc = html.find('#ta-edit-trap-desc2').val().trim();
             const newFail = html.find('#ta-edit-trap-fail2').val().trim();
             const newSuccess = html.find('#ta-edit-trap-success2').val().trim();
-            const sets2 = [];
-            html.find('.ta-hint-set').each((idx, el) => {
-              const $el = $(el);
-              const i = $el.data('idx');
-              sets2.push({
-                '+2': $el.find(`[name="hint-${i}-2"]`).val().trim(),
-                '+4': $el.find(`[name="hint-${i}-4"]`).val().trim(),
-                '+6': $el.find(`[name="hint-${i}-6"]`).val().trim(),
-                '+10': $el.find(`[name="hint-${i}-10"]`).val().trim()
-              });
-            });
+            const hints = this._readHintLocations(html);
             const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
             if (!custom.trap) custom.trap = {};
             custom.trap[key] = {
@@ -1794,514 +3046,1507 @@ class TrapAutomator {
                 fail: newFail,
                 success: newSuccess
               },
-              hints: {
-                floor: sets2,
-                wall: sets2,
-                ceiling: sets2,
-                other: sets2
-              }
+              ...this._readTrapDamageFields(html, { keepDefaults: true }),
+              ...this._readWeightField(html, { keepDefaults: true }),
+              hints,
+              ...(def.i18n ? { i18n: def.i18n } : {})
             };
             await this.saveCustomDefinitions(custom);
-            ui.notifications.info(`Trap "${newName || def.name}" saved.`);
+            ui.notifications.info(localize('Definitions.TrapSaved', { name: newName || def.name }));
           }
         },
+        ...(isOverride ? {
+          reset: {
+            label: localize('Definitions.ResetButton'),
+            callback: () => this.resetDefinition('trap', key)
+          }
+        } : {}),
         delete: {
-          label: 'Delete',
+          label: localize('Common.Delete'),
           callback: () => {
-            // Only allow deletion of custom traps
+            // Only allow deletion of custom traps; overrides are reset instead
             const customDefs = game.settings.get('trap-automator', 'customDefs') || {};
-            if (!customDefs.trap || !customDefs.trap[key]) {
-              ui.notifications.warn('Only custom traps may be deleted.');
+            if (!customDefs.trap || !customDefs.trap[key] || this.hasPackDefinition('trap', key)) {
+              ui.notifications.warn(localize('Definitions.TrapNotCustom'));
               return;
             }
             new Dialog({
-              title: 'Confirm Deletion',
-              content: `<p>Are you sure you want to delete the trap "${def.name || key}"?</p>`,
+              title: localize('Common.ConfirmDeletion'),
+              content: `<p>${localize('Definitions.DeleteTrapConfirm', { name: def.name || key })}</p>`,
               buttons: {
                 yes: {
-                  label: 'Delete',
+                  label: localize('Common.Delete'),
                   callback: async () => {
                     const custom = duplicate(customDefs);
                     delete custom.trap[key];
                     await this.saveCustomDefinitions(custom);
-                    ui.notifications.info(`Trap "${def.name || key}" deleted.`);
+                    ui.notifications.info(localize('Definitions.TrapDeleted', { name: def.name || key }));
                   }
                 },
-                no: { label: 'Cancel' }
+                no: { label: localize('Common.Cancel') }
               },
               default: 'no'
             }).render(true);
           }
         },
-        cancel: { label: 'Cancel' }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'save'
     });
     dlg.render(true);
-    $(document).on('click.taEditTrap', '#ta-edit-trap-addset2', ev => {
-      ev.preventDefault();
-      const container = $('#ta-edit-trap-sets2');
-      const idx = container.children('.ta-hint-set').length;
-      container.append(this._renderHintSet(idx));
-    });
-    Hooks.once('closeDialog', () => {
-      $(document).off('click.taEditTrap');
-    });
+    this._bindHintLocationControls();
   }
 
   /**
-   * Show a dialog listing available trap types based on the loaded
-   * definitions. Each entry uses the definition's name property if
-   * present. When the GM selects a trap type the workflow proceeds to
-   * select a location.
+   * Dialog for adding a location. Opens the location form with an empty
+   * entry (see openLocationForm).
    */
-  openTrapTypeDialog(primaryCat = null, subCat = null) {
-    /**
-     * Use the class method to categorise a category into primary and sub.
-     */
-    const categorise = catName => this.categorizeCategory(catName);
-    // Build mapping of traps grouped by primary and sub categories
-    const mapping = {};
-    const defs = this.definitions.trap || {};
-    for (const [key, def] of Object.entries(defs)) {
-      const { primary, sub } = categorise(def.category);
-      if (!mapping[primary]) mapping[primary] = {};
-      const subKey = sub || '_';
-      if (!mapping[primary][subKey]) mapping[primary][subKey] = [];
-      mapping[primary][subKey].push({ key, name: def.name || key });
-    }
-    // Determine list of primary categories to display. Include built‑in
-    // categories first (in a predefined order) followed by any additional
-    // categories discovered in the mapping. This ensures custom categories
-    // appear when traps exist for them. If no traps exist in any category
-    // the user will be notified and returned to the initial menu.
-    const predefined = ['generic', 'sci-fi', 'magical', 'natural', 'grimdark'];
-    const mappingKeys = Object.keys(mapping);
-    // Remove duplicates from mapping keys that are in predefined and sort
-    const customCats = mappingKeys.filter(cat => !predefined.includes(cat)).sort();
-    const availableCats = predefined.filter(pc => mapping[pc]).concat(customCats);
-    if (!primaryCat) {
-      if (!availableCats.length) {
-        ui.notifications.error('No trap definitions are available.');
-        return;
-      }
-      const options = availableCats
-        .map(c => `<option value="${c}">${c.charAt(0).toUpperCase() + c.slice(1)}</option>`) 
-        .join('');
-      const content = `<form>
-        <div class="form-group">
-          <label for="ta-trap-cat">Select category:</label>
-          <select id="ta-trap-cat" name="ta-trap-cat">${options}</select>
-        </div>
-      </form>`;
-      new Dialog({
-        title: 'Select Trap Category',
-        content,
-        buttons: {
-          next: {
-            label: 'Next',
-            callback: html => {
-              const pc = html.find('#ta-trap-cat').val();
-              this.openTrapTypeDialog(pc);
-            }
-          },
-          back: {
-            label: 'Back',
-            callback: () => this.openInitialDialog()
-          }
-        },
-        default: 'next'
-      }).render(true);
-      return;
-    }
-    // If the chosen primary category has multiple subcategories (excluding '_'),
-    // prompt the user to select a subcategory if not already provided.
-    if (primaryCat && !subCat) {
-      const subMap = mapping[primaryCat];
-      if (subMap) {
-        const subKeys = Object.keys(subMap).filter(k => k !== '_' && subMap[k].length);
-        if (subKeys.length > 0) {
-          const options = subKeys
-            .map(s => `<option value="${s}">${s.charAt(0).toUpperCase() + s.slice(1)}</option>`)
-            .join('');
-          const content = `<form>
-            <div class="form-group">
-              <label for="ta-trap-subcat">Select ${primaryCat.charAt(0).toUpperCase() + primaryCat.slice(1)} sub-category:</label>
-              <select id="ta-trap-subcat" name="ta-trap-subcat">${options}</select>
-            </div>
-          </form>`;
-          new Dialog({
-            title: `Select ${primaryCat.charAt(0).toUpperCase() + primaryCat.slice(1)} Sub-category`,
-            content,
-            buttons: {
-              next: {
-                label: 'Next',
-                callback: html => {
-                  const sc = html.find('#ta-trap-subcat').val();
-                  this.openTrapTypeDialog(primaryCat, sc);
-                }
-              },
-              back: {
-                label: 'Back',
-                callback: () => this.openTrapTypeDialog()
-              }
-            },
-            default: 'next'
-          }).render(true);
-          return;
-        }
-      }
-    }
-    // Now we have a category (and subcategory if grimdark). List traps accordingly.
-    let traps = [];
-    if (primaryCat) {
-      const subMap = mapping[primaryCat];
-      if (subCat && subMap) {
-        traps = (subMap[subCat] || []).slice();
-      } else if (subMap) {
-        // Use default group '_' if exists
-        traps = (subMap['_'] || []).slice();
-        // If default group empty but there are other subgroups, merge them
-        if (!traps.length) {
-          for (const [k, arr] of Object.entries(subMap)) {
-            traps = traps.concat(arr);
-          }
-        }
-      }
-    } else {
-      // Should not happen, handled above
-      traps = [];
-    }
-    if (!traps.length) {
-      ui.notifications.warn('No traps available for the selected category.');
-      // Go back to category selection
-      this.openTrapTypeDialog();
-      return;
-    }
-    const options = traps
-      .map(({ key, name }) => `<option value="${key}">${name}</option>`) 
+  openAddLocationDialog() {
+    this.openLocationForm();
+  }
+
+  /**
+   * Dialog for choosing a location to edit, then opening its form.
+   */
+  openEditLocationDialog() {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const options = this.getLocations()
+      .map(loc => `<option value="${esc(loc)}">${esc(this.getLocationLabel(loc))}</option>`)
       .join('');
-    const content = `<form>
-      <div class="form-group">
-        <label for="ta-trap-type">Select trap type:</label>
-        <select id="ta-trap-type" name="ta-trap-type">${options}</select>
-      </div>
-    </form>`;
     new Dialog({
-      title: 'Select Trap Type',
-      content,
+      title: localize('Definitions.SelectLocation'),
+      content: `<form>
+        <div class="form-group">
+          <label for="ta-edit-loc-sel">${localize('Fields.Location')}</label>
+          <select id="ta-edit-loc-sel">${options}</select>
+        </div>
+      </form>`,
       buttons: {
         next: {
-          label: 'Next',
-          callback: html => {
-            const key = html.find('#ta-trap-type').val();
-            this.currentData.key = key;
-            this.openLocationDialog();
-          }
+          label: localize('Common.Next'),
+          callback: html => this.openLocationForm(html.find('#ta-edit-loc-sel').val())
         },
-        back: {
-          label: 'Back',
-          callback: () => this.openTrapTypeDialog()
-        }
+        cancel: { label: localize('Common.Cancel') }
       },
       default: 'next'
     }).render(true);
   }
 
   /**
-   * Show a dialog listing available cache types based on the loaded
-   * definitions. When the GM selects a cache type the workflow proceeds
-   * directly to ask for a location and description.
+   * Form for adding or editing a location: its name, the phrase used in
+   * the flavour text and the traps, caches and categories it is limited
+   * to. Saving stores the location in the custom definitions. Custom
+   * locations can be deleted; overrides of default or pack locations can be
+   * reset instead.
+   * @param {string} [id] Location to edit; omitted to add a new one
    */
-  openCacheTypeDialog() {
-    const cacheDefs = this.definitions.cache || {};
-    if (!Object.keys(cacheDefs).length) {
-      ui.notifications.error('No cache definitions are available.');
+  openLocationForm(id = null) {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const location = id ? this.definitions.locations?.[id] : {};
+    if (!location) {
+      ui.notifications.error(localize('Definitions.LocationNotFound'));
       return;
     }
-    const options = Object.entries(cacheDefs)
-      .map(([key, def]) => `<option value="${key}">${def.name || key}</option>`)
-      .join('');
+    const stored = game.settings.get('trap-automator', 'customDefs') || {};
+    const isBase = !!id && (id in TrapAutomator.DEFAULT_LOCATIONS || this.hasPackDefinition('locations', id));
+    const isCustom = !!id && !!(stored.locations && stored.locations[id]);
+    const multi = (name, entries, selected = []) => `<select id="ta-loc-${name}" multiple size="6" style="height:auto;">
+        ${entries.map(([value, label]) => `<option value="${esc(value)}"${selected.includes(value) ? ' selected' : ''}>${esc(label)}</option>`).join('')}
+      </select>`;
+    const defEntries = type => Object.keys(this.definitions[type] || {})
+      .map(key => [key, this.getDefinitionName(type, key)])
+      .sort((a, b) => a[1].localeCompare(b[1]));
     const content = `<form>
       <div class="form-group">
-        <label for="ta-cache-type">Select cache type:</label>
-        <select id="ta-cache-type" name="ta-cache-type">${options}</select>
+        <label for="ta-loc-id">${localize('Fields.LocationId')}</label>
+        <input type="text" id="ta-loc-id" value="${esc(id || '')}"${id ? ' disabled' : ''} />
+      </div>
+      <div class="form-group">
+        <label for="ta-loc-name">${localize('Fields.Name')}</label>
+        <input type="text" id="ta-loc-name" value="${esc(id ? this.getLocationLabel(id) : '')}" />
+      </div>
+      <div class="form-group">
+        <label for="ta-loc-phrase">${localize('Fields.LocationPhrase')}</label>
+        <input type="text" id="ta-loc-phrase" value="${esc(location.phrase || '')}" placeholder="${esc(localize('Definitions.LocationPhraseHint'))}" />
+      </div>
+      <p class="notes">${localize('Definitions.LocationLimitHint')}</p>
+      <div class="form-group">
+        <label for="ta-loc-traps">${localize('Sections.Traps')}</label>
+        ${multi('traps', defEntries('trap'), location.traps || [])}
+      </div>
+      <div class="form-group">
+        <label for="ta-loc-caches">${localize('Sections.Caches')}</label>
+        ${multi('caches', defEntries('cache'), location.caches || [])}
+      </div>
+      <div class="form-group">
+        <label for="ta-loc-categories">${localize('Sections.Categories')}</label>
+        ${multi('categories', this.getAllCategories().map(c => [c, c]), location.categories || [])}
       </div>
     </form>`;
-    new Dialog({
-      title: 'Select Cache Type',
-      content,
-      buttons: {
-        next: {
-          label: 'Next',
-          callback: html => {
-            const key = html.find('#ta-cache-type').val();
-            this.currentData.key = key;
-            this.openLocationDialog();
+    const buttons = {
+      save: {
+        label: localize('Common.Save'),
+        callback: async html => {
+          const key = id || this.slugify(html.find('#ta-loc-id').val());
+          if (!key) {
+            ui.notifications.warn(localize('Definitions.LocationEmpty'));
+            return;
           }
-        },
-        back: {
-          label: 'Back',
-          callback: () => this.openInitialDialog()
+          if (!id && this.definitions.locations?.[key]) {
+            ui.notifications.warn(localize('Definitions.LocationExists'));
+            return;
+          }
+          const name = html.find('#ta-loc-name').val().trim() || key;
+          // An unchanged label stays unset so it keeps following the
+          // interface language.
+          const storedName = id && name === this.getLocationLabel(id) ? location.name : name;
+          const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
+          if (!custom.locations) custom.locations = {};
+          custom.locations[key] = {
+            ...(storedName ? { name: storedName } : {}),
+            phrase: html.find('#ta-loc-phrase').val().trim(),
+            traps: html.find('#ta-loc-traps').val() || [],
+            caches: html.find('#ta-loc-caches').val() || [],
+            categories: html.find('#ta-loc-categories').val() || [],
+            ...(location.i18n ? { i18n: location.i18n } : {})
+          };
+          await this.saveCustomDefinitions(custom);
+          ui.notifications.info(localize('Definitions.LocationSaved', { name }));
         }
-      },
-      default: 'next'
+      }
+    };
+    if (isCustom && isBase) {
+      buttons.reset = {
+        label: localize('Definitions.ResetButton'),
+        callback: async () => {
+          const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
+          delete custom.locations[id];
+          await this.saveCustomDefinitions(custom);
+          ui.notifications.info(localize('Definitions.LocationReset', { name: this.getLocationLabel(id) }));
+        }
+      };
+    }
+    if (isCustom && !isBase) {
+      buttons.delete = {
+        label: localize('Common.Delete'),
+        callback: () => {
+          const label = this.getLocationLabel(id);
+          new Dialog({
+            title: localize('Common.ConfirmDeletion'),
+            content: `<p>${localize('Definitions.DeleteLocationConfirm', { name: esc(label) })}</p>
+              <p>${localize('History.RestoreHint')}</p>`,
+            buttons: {
+              yes: {
+                label: localize('Common.Delete'),
+                callback: async () => {
+                  const custom = duplicate(game.settings.get('trap-automator', 'customDefs') || {});
+                  delete custom.locations[id];
+                  await this.saveCustomDefinitions(custom);
+                  ui.notifications.info(localize('Definitions.LocationDeleted', { name: label }));
+                }
+              },
+              no: { label: localize('Common.Cancel') }
+            },
+            default: 'no'
+          }).render(true);
+        }
+      };
+    }
+    buttons.cancel = { label: localize('Common.Cancel') };
+    new Dialog({
+      title: id ? localize('Definitions.EditLocation', { name: this.getLocationLabel(id) }) : localize('Definitions.AddLocation'),
+      content,
+      buttons,
+      default: 'save'
     }).render(true);
   }
 
   /**
-   * Prompt the GM to select where the trap or cache is located. Four
-   * standard options are provided: floor, wall, ceiling and other. When
-   * selected the workflow proceeds to either trigger selection (for traps)
-   * or cache description (for caches).
+   * Group the trap definitions by primary category and subcategory. Traps
+   * whose category has no subcategory are stored under the '_' key of their
+   * primary category. Definitions that failed validation or are hidden
+   * are left out.
+   * @returns {Object} Map of primary -> sub (or '_') -> [{ key, name }]
    */
-  openLocationDialog() {
-    const locations = ['floor', 'wall', 'ceiling', 'other'];
-    const options = locations
-      .map(l => `<option value="${l}">${l.charAt(0).toUpperCase() + l.slice(1)}</option>`)
-      .join('');
-    const content = `<form>
-      <div class="form-group">
-        <label for="ta-location">Where is it located?</label>
-        <select id="ta-location" name="ta-location">${options}</select>
-      </div>
-    </form>`;
-    new Dialog({
-      title: 'Select Location',
-      content,
-      buttons: {
-        next: {
-          label: 'Next',
-          callback: html => {
-            const loc = html.find('#ta-location').val();
-            this.currentData.location = loc;
-            if (this.currentData.type === 'trap') {
-              this.openTriggerDialog();
-            } else {
-              this.openCacheDetailsDialog();
-            }
-          }
-        },
-        back: {
-          label: 'Back',
-          callback: () => {
-            if (this.currentData.type === 'trap') this.openTrapTypeDialog();
-            else this.openCacheTypeDialog();
-          }
-        }
-      },
-      default: 'next'
-    }).render(true);
+  getTrapCategoryMap() {
+    const mapping = {};
+    const defs = this.definitions.trap || {};
+    for (const [key, def] of Object.entries(defs)) {
+      if (!this.isDefinitionOffered('trap', key)) continue;
+      const { primary, sub } = this.categorizeCategory(def.category);
+      if (!mapping[primary]) mapping[primary] = {};
+      const subKey = sub || '_';
+      if (!mapping[primary][subKey]) mapping[primary][subKey] = [];
+      mapping[primary][subKey].push({ key, name: this.getDefinitionName('trap', key) });
+    }
+    return mapping;
+  }
+
+  /**
+   * Determine which primary categories have traps available. Built‑in
+   * categories come first in a predefined order followed by any custom
+   * categories discovered in the mapping, sorted alphabetically.
+   * @param {Object} mapping Result of getTrapCategoryMap
+   * @returns {Array<string>} Ordered list of primary categories
+   */
+  getAvailableTrapCategories(mapping) {
+    const predefined = ['generic', 'sci-fi', 'magical', 'natural', 'grimdark'];
+    const customCats = Object.keys(mapping).filter(cat => !predefined.includes(cat)).sort();
+    return predefined.filter(pc => mapping[pc]).concat(customCats);
+  }
+
+  /**
+   * List the traps belonging to a primary category and optional
+   * subcategory. Without a subcategory the traps filed directly under the
+   * primary are returned, or every trap of the primary if it only has
+   * subcategorised traps.
+   * @param {Object} mapping Result of getTrapCategoryMap
+   * @param {string} primaryCat Primary category
+   * @param {string|null} subCat Optional subcategory
+   * @returns {Array<Object>} List of { key, name }
+   */
+  getTrapsForCategory(mapping, primaryCat, subCat = null) {
+    const subMap = mapping[primaryCat];
+    if (!subMap) return [];
+    if (subCat) return (subMap[subCat] || []).slice();
+    let traps = (subMap['_'] || []).slice();
+    if (!traps.length) {
+      for (const arr of Object.values(subMap)) {
+        traps = traps.concat(arr);
+      }
+    }
+    return traps;
+  }
+
+  /**
+   * Return the locations a trap or cache may be placed in. Given a
+   * definition, only the locations that allow it and for which it has
+   * hints (its own or the floor hints) are returned.
+   * @param {string} [type] Either 'trap' or 'cache'
+   * @param {string} [key] Definition key
+   * @returns {Array<string>} Location keys
+   */
+  getLocations(type = null, key = null) {
+    const locations = Object.keys(this.definitions.locations || {});
+    if (!type || !key) return locations;
+    const def = this.definitions[type]?.[key];
+    return locations.filter(loc => this.isLocationAllowed(loc, type, key) && this.getLocationHints(def, loc).length);
+  }
+
+  /**
+   * Whether a location accepts a trap or cache. A location that lists no
+   * traps, caches or categories accepts everything; otherwise only the
+   * listed definitions and those whose category, or its primary, is
+   * listed.
+   * @param {string} loc Location key
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {string} key Definition key
+   * @returns {boolean}
+   */
+  isLocationAllowed(loc, type, key) {
+    const location = this.definitions.locations?.[loc];
+    if (!location) return false;
+    const list = value => (Array.isArray(value) ? value : []);
+    const categories = list(location.categories);
+    if (!list(location.traps).length && !list(location.caches).length && !categories.length) return true;
+    if (list(type === 'trap' ? location.traps : location.caches).includes(key)) return true;
+    const cat = this.definitions[type]?.[key]?.category;
+    if (!cat || !categories.length) return false;
+    return categories.includes(cat) || categories.includes(this.categorizeCategory(cat).primary);
+  }
+
+  /**
+   * Hint sets of a definition for a location, falling back to the floor
+   * sets when the location has none. The sets are resolved to the
+   * configured tiers (see resolveHintSet) and sets without any text are
+   * left out.
+   * @param {Object} def Trap or cache definition with normalised hints
+   * @param {string} loc Location key
+   * @returns {Array<Object>} Hint sets keyed by tier id
+   */
+  getLocationHints(def, loc) {
+    const diffs = this.getHintTierIds();
+    const usable = sets => (Array.isArray(sets) ? sets : [])
+      .filter(set => set && typeof set === 'object')
+      .map(set => this.resolveHintSet(set))
+      .filter(set => diffs.some(diff => set[diff].trim()));
+    const hints = (def && def.hints) || {};
+    const own = usable(hints[loc]);
+    return own.length ? own : usable(hints.floor);
+  }
+
+  /**
+   * Return the display label of a location in the client's language: the
+   * location's translated name, its name, the label in the language file or
+   * the capitalised key, whichever is found first.
+   * @param {string} loc Location key
+   * @returns {string}
+   */
+  getLocationLabel(loc) {
+    const location = this.definitions.locations?.[loc] || {};
+    const name = location.i18n?.[game.i18n.lang]?.name || location.name;
+    if (name) return name;
+    const key = `TRAP_AUTOMATOR.Locations.${loc}`;
+    return game.i18n.has(key) ? game.i18n.localize(key) : loc.charAt(0).toUpperCase() + loc.slice(1);
   }
 
   /**
-   * Prompt the GM to select the trigger mechanism that activates the trap.
-   * A basic list of triggers is provided; custom triggers from the
-   * definitions object may be appended. After selection the workflow
-   * proceeds to ask for trap details (DC, save type, damage, etc.).
+   * Build the list of trigger phrases available for a trap. Each category
+   * has its own set of trigger phrases stored in definitions.triggers.
+   * Subcategories use their own list when one exists and otherwise share
+   * their parent's triggers. If no triggers exist for the category the
+   * generic list is used.
+   * @param {string} key Trap definition key
+   * @returns {Array<string>} Deduplicated trigger phrases
    */
-  openTriggerDialog() {
-    // Build triggers list based on the trap's category. Each category has its own set
-    // of trigger phrases stored in definitions.triggers. Subcategories share their
-    // parent's triggers. If no triggers exist for a category, fall back to generic.
+  getTriggersForTrap(key) {
     let triggers = [];
-    const def = this.definitions.trap && this.currentData.key ? this.definitions.trap[this.currentData.key] : null;
+    const def = this.definitions.trap && key ? this.definitions.trap[key] : null;
     let catKey = null;
     if (def && def.category) {
       const { primary, sub } = this.categorizeCategory(def.category);
-      // Use subcategory key if triggers defined, otherwise primary
       const subList = this.definitions.triggers && Array.isArray(this.definitions.triggers[sub]) && this.definitions.triggers[sub].length;
       catKey = sub && subList ? sub : primary;
     }
     if (catKey && this.definitions.triggers && Array.isArray(this.definitions.triggers[catKey])) {
       triggers = this.definitions.triggers[catKey].slice();
     }
-    // Fallback to generic triggers if still empty
     if (!triggers.length && this.definitions.triggers && Array.isArray(this.definitions.triggers['generic'])) {
       triggers = this.definitions.triggers['generic'].slice();
     }
     // Deduplicate triggers while preserving order
     const seen = new Set();
-    triggers = triggers.filter(t => {
-      const key = String(t).trim();
-      if (!key || seen.has(key)) return false;
-      seen.add(key);
+    return triggers.filter(t => {
+      const k = String(t).trim();
+      if (!k || seen.has(k)) return false;
+      seen.add(k);
       return true;
     });
-    // If no triggers defined at all, prompt the GM to add triggers first
-    if (!triggers.length) {
-      ui.notifications.error('No triggers are defined for this category. Please add triggers via Add Definition → Trigger before creating a trap.');
-      // Return to location selection so the GM can cancel or go back
-      this.openLocationDialog();
-      return;
+  }
+
+  /**
+   * Collect every tile on a scene that carries trap or cache data.
+   * @param {Scene} scene The scene to search; defaults to the viewed scene
+   * @returns {Array<TileDocument>} Trap and cache tiles
+   */
+  getSceneTraps(scene = canvas.scene) {
+    if (!scene) return [];
+    return scene.tiles.filter(t => t.getFlag('trap-automator', 'trapData'));
+  }
+
+  /**
+   * Open the manager window listing the traps and caches on the viewed
+   * scene. Reuses the open window if there is one.
+   */
+  openManager() {
+    if (!this.manager) this.manager = new TrapManagerApp(this);
+    this.manager.render(true);
+    return this.manager;
+  }
+
+  /**
+   * Open the single-window builder for a trap or cache. Only one builder is
+   * kept open at a time; asking for another brings the existing window to
+   * the front and switches it to the requested type.
+   * @param {string} type Either 'trap' or 'cache'
+   */
+  openBuilder(type = 'trap') {
+    if (this.builder?.rendered) {
+      this.builder.data.type = type;
+      this.builder.render({ force: true });
+      this.builder.bringToFront();
+      return this.builder;
     }
-    // Build option HTML with capitalised display
-    const options = triggers.map(t => {
-      const display = t.charAt(0).toUpperCase() + t.slice(1);
-      return `<option value="${t}">${display}</option>`;
-    }).join('');
-    const content = `<form>
-      <div class="form-group">
-        <label for="ta-trigger">Select the trigger mechanism:</label>
-        <select id="ta-trigger" name="ta-trigger">${options}</select>
-      </div>
-    </form>`;
-    new Dialog({
-      title: 'Select Trigger',
-      content,
-      buttons: {
-        next: {
-          label: 'Next',
-          callback: html => {
-            const trig = html.find('#ta-trigger').val();
-            this.currentData.trigger = trig;
-            this.openTrapDetailsDialog();
-          }
-        },
-        back: {
-          label: 'Back',
-          callback: () => this.openLocationDialog()
-        }
-      },
-      default: 'next'
-    }).render(true);
+    this.builder = new TrapBuilderApp(this, { type });
+    this.builder.render(true);
+    return this.builder;
   }
 
   /**
-   * Prompt the GM to enter trap-specific details such as the saving throw
-   * difficulty class (DC), save ability, damage formula and type, whether
-   * damage is halved on success, and any additional effect description.
-   * Once entered the workflow asks the GM to draw the tile.
+   * How likely a definition is to be picked at random, relative to the
+   * others: its `weight`, 1 if not set. A weight of 0 keeps it out of
+   * random picks.
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {string} key Definition key
+   * @returns {number}
    */
-  openTrapDetailsDialog() {
-    const def = this.definitions.trap[this.currentData.key];
-    const saveTypes = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
-    const saveOptions = saveTypes
-      .map(s => `<option value="${s}"${def.defaultSave && def.defaultSave.toLowerCase() === s ? ' selected' : ''}>${s.toUpperCase()}</option>`)
-      .join('');
+  getDefinitionWeight(type, key) {
+    const weight = this.definitions[type]?.[key]?.weight;
+    if (weight === undefined || weight === null || weight === '') return 1;
+    return Math.max(0, Number(weight) || 0);
+  }
+
+  /**
+   * Pick one item at random, each with the chance of its weight.
+   * @param {Array<Array>} entries Pairs of [item, weight]
+   * @returns {*} The picked item, or undefined if no item has a positive
+   *   weight
+   */
+  pickWeighted(entries) {
+    const usable = entries.filter(([, weight]) => weight > 0);
+    let roll = Math.random() * usable.reduce((sum, [, weight]) => sum + weight, 0);
+    for (const [item, weight] of usable) {
+      roll -= weight;
+      if (roll < 0) return item;
+    }
+    return usable[usable.length - 1]?.[0];
+  }
+
+  /**
+   * Roll a random trap or cache. The definition is picked by weight from
+   * those offered in the builder, limited to a category (a primary
+   * category also covers its subcategories) and to definitions that can be
+   * placed at the given location. Location and trigger are then picked from
+   * those the definition allows. Traps get a severity, picked at random if
+   * not given with the milder ones more likely, and the DC, attack bonus
+   * and damage that go with it.
+   * @param {Object} options
+   * @param {string} options.type Either 'trap' or 'cache'
+   * @param {string} [options.category] Category to pick from
+   * @param {Array<string>} [options.categories] Several categories to pick
+   *   from, as an alternative to category
+   * @param {string} [options.location] Location to place at
+   * @param {string} [options.severity] setback, dangerous or deadly (traps)
+   * @param {number} [options.level] Character level for the severity;
+   *   defaults to the party level
+   * @returns {Object|null} Creation data as used by buildTrapData and
+   *   createFromApi, or null if no definition matches
+   */
+  pickRandom({ type = 'trap', category = null, categories = null, location = null, severity = null, level = null } = {}) {
+    const allowed = categories || (category ? [category] : null);
+    const candidates = Object.keys(this.definitions[type] || {}).filter(key => {
+      if (!this.isDefinitionOffered(type, key)) return false;
+      const cat = this.definitions[type][key].category || '';
+      if (allowed && !allowed.includes(cat) && !allowed.includes(this.categorizeCategory(cat).primary)) return false;
+      if (location && !this.getLocations(type, key).includes(location)) return false;
+      return type !== 'trap' || this.getTriggersForTrap(key).length > 0;
+    });
+    const key = this.pickWeighted(candidates.map(k => [k, this.getDefinitionWeight(type, k)]));
+    if (!key) return null;
+    const any = list => list[Math.floor(Math.random() * list.length)];
+    const data = { type, key, location: location || any(this.getLocations(type, key)) };
+    if (type !== 'trap') return data;
+    const def = this.definitions.trap[key];
+    // Setbacks are the most common traps and deadly ones the rarest.
+    severity = severity || this.pickWeighted([['setback', 3], ['dangerous', 2], ['deadly', 1]]);
+    const preset = this.getSeverityPreset(key, severity, level);
+    return Object.assign(data, {
+      trigger: any(this.getTriggersForTrap(key)),
+      severity,
+      level: preset.level,
+      dc: preset.dc,
+      attack: preset.attack,
+      saveType: (def.defaultSave || 'dex').toLowerCase(),
+      damage: preset.damage,
+      damageType: preset.damageType,
+      half: false,
+      effect: ''
+    });
+  }
+
+  /**
+   * Roll a random trap or cache (see pickRandom) and go straight to
+   * placing it with the default placement settings.
+   * @param {Object} options Filters passed to pickRandom
+   * @returns {Object|null} The rolled creation data, or null if nothing
+   *   matched
+   */
+  surpriseMe(options = {}) {
+    if (!game.user.isGM) {
+      ui.notifications.warn(localize('Notifications.GMOnly'));
+      return null;
+    }
+    const data = this.pickRandom(options);
+    if (!data) {
+      ui.notifications.warn(localize('Random.NothingMatches'));
+      return null;
+    }
+    this.currentData = data;
+    const size = game.settings.get('trap-automator', 'tileSize') || 1;
+    this.beginPlacement({
+      label: this.getDefinitionName(data.type, data.key),
+      mode: game.settings.get('trap-automator', 'placementMode'),
+      width: size,
+      height: size,
+      texture: game.settings.get('trap-automator', 'tileTexture') || ''
+    });
+    return data;
+  }
+
+  /**
+   * Categories offered for random picks of one type: the trap categories
+   * in builder order, or the categories of the offered caches sorted by
+   * name.
+   * @param {string} type Either 'trap' or 'cache'
+   * @returns {Array<string>} Category names
+   */
+  getRandomCategories(type) {
+    if (type === 'trap') return this.getAvailableTrapCategories(this.getTrapCategoryMap());
+    const categories = new Set();
+    for (const key of Object.keys(this.definitions.cache || {})) {
+      const cat = this.definitions.cache[key].category;
+      if (cat && this.isDefinitionOffered('cache', key)) categories.add(cat);
+    }
+    return Array.from(categories).sort();
+  }
+
+  /**
+   * Dialog for rolling a random trap or cache with optional category,
+   * location and severity, then placing it (see surpriseMe). The category
+   * list follows the chosen type.
+   */
+  openSurpriseDialog() {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const option = (value, label) => `<option value="${esc(value)}">${esc(label)}</option>`;
+    const any = option('', localize('Random.Any'));
+    const categoryOptions = type => any + this.getRandomCategories(type).map(c => option(c, c)).join('');
     const content = `<form>
       <div class="form-group">
-        <label for="ta-dc">Save DC:</label>
-        <input id="ta-dc" name="ta-dc" type="number" min="1" max="30" value="${def.defaultDC || 10}" />
-      </div>
-      <div class="form-group">
-        <label for="ta-save-type">Save ability:</label>
-        <select id="ta-save-type" name="ta-save-type">${saveOptions}</select>
-      </div>
-      <div class="form-group">
-        <label for="ta-damage">Damage formula:</label>
-        <input id="ta-damage" name="ta-damage" type="text" placeholder="e.g. 2d6 + 3" />
+        <label for="ta-random-type">${localize('Builder.Create')}</label>
+        <select id="ta-random-type">${option('trap', localize('Types.Trap'))}${option('cache', localize('Types.Cache'))}</select>
       </div>
       <div class="form-group">
-        <label for="ta-damage-type">Damage type:</label>
-        <input id="ta-damage-type" name="ta-damage-type" type="text" placeholder="e.g. slashing" />
+        <label for="ta-random-category">${localize('Fields.Category')}</label>
+        <select id="ta-random-category">${categoryOptions('trap')}</select>
       </div>
       <div class="form-group">
-        <label><input id="ta-half" name="ta-half" type="checkbox" /> Half damage on success</label>
+        <label for="ta-random-location">${localize('Fields.Location')}</label>
+        <select id="ta-random-location">${any}${this.getLocations().map(l => option(l, this.getLocationLabel(l))).join('')}</select>
       </div>
       <div class="form-group">
-        <label for="ta-effect">Additional effect (optional):</label>
-        <input id="ta-effect" name="ta-effect" type="text" />
+        <label for="ta-random-severity">${localize('Severity.Label')}</label>
+        <select id="ta-random-severity">${any}${TrapAutomator.SEVERITIES.map(s => option(s, this.getSeverityLabel(s))).join('')}</select>
       </div>
     </form>`;
     new Dialog({
-      title: 'Trap Details',
+      title: localize('Random.Title'),
       content,
       buttons: {
-        create: {
-          label: 'Continue',
+        place: {
+          label: localize('Random.Place'),
           callback: html => {
-            this.currentData.dc = Number(html.find('#ta-dc').val());
-            this.currentData.saveType = html.find('#ta-save-type').val();
-            this.currentData.damage = html.find('#ta-damage').val().trim();
-            this.currentData.damageType = html.find('#ta-damage-type').val().trim();
-            this.currentData.half = html.find('#ta-half')[0].checked;
-            this.currentData.effect = html.find('#ta-effect').val().trim();
-            this.promptDrawTile();
+            try {
+              this.surpriseMe({
+                type: html.find('#ta-random-type').val(),
+                category: html.find('#ta-random-category').val() || null,
+                location: html.find('#ta-random-location').val() || null,
+                severity: html.find('#ta-random-severity').val() || null
+              });
+            } catch (err) {
+              console.error('Trap Automator: failed to roll a random trap or cache', err);
+              ui.notifications.error(localize('Placement.Error'));
+            }
           }
         },
-        back: {
-          label: 'Back',
-          callback: () => this.openTriggerDialog()
-        }
+        cancel: { label: localize('Common.Cancel') }
       },
-      default: 'create'
+      default: 'place',
+      render: html => {
+        html.find('#ta-random-type').on('change', ev => {
+          html.find('#ta-random-category').html(categoryOptions(ev.currentTarget.value));
+        });
+      }
     }).render(true);
   }
 
   /**
-   * Prompt the GM to enter additional description for a cache. Caches do
-   * not involve saving throws or damage. After entering the description
-   * the workflow asks the GM to draw the tile.
+   * The Drawing or Region selected on the canvas, used as the area to
+   * scatter traps and caches across.
+   * @returns {DrawingDocument|RegionDocument|null}
    */
-  openCacheDetailsDialog() {
-    const def = this.definitions.cache[this.currentData.key];
-    const placeholder = def && def.description && def.description.found ? def.description.found : '';
-    const content = `<form>
-      <div class="form-group">
-        <label for="ta-cache-desc">Describe the cache contents (optional):</label>
-        <textarea id="ta-cache-desc" name="ta-cache-desc" rows="3" style="width:100%" placeholder="${placeholder}"></textarea>
-      </div>
-    </form>`;
-    new Dialog({
-      title: 'Cache Details',
-      content,
-      buttons: {
-        create: {
-          label: 'Continue',
-          callback: html => {
-            this.currentData.description = html.find('#ta-cache-desc').val().trim();
-            this.promptDrawTile();
-          }
-        },
-        back: {
-          label: 'Back',
-          callback: () => this.openLocationDialog()
-        }
-      },
-      default: 'create'
-    }).render(true);
+  getSelectedArea() {
+    return canvas.drawings?.controlled[0]?.document || canvas.regions?.controlled[0]?.document || null;
   }
 
   /**
-   * Instruct the GM to draw a tile on the scene to finalise trap or cache
-   * placement. A one-time hook listens for the next tile creation and
-   * attaches the trap data to that tile, then spawns hint tokens.
+   * Describe the outline of a Drawing or Region: its bounding box and a
+   * test for whether a point lies inside it. Rotated drawings, ellipses and
+   * polygons are followed exactly; text-only drawings count as rectangles.
+   * @param {DrawingDocument|RegionDocument} area The area
+   * @returns {Object} { bounds: { x, y, width, height }, contains(x, y) }
    */
-  promptDrawTile() {
-    ui.notifications.info('Draw a tile to place your trap or cache.');
-    // Listen for the next tile creation only once.
-    const handler = async tileDoc => {
-      Hooks.off('createTile', handler);
-      try {
-        await this.onTileCreated(tileDoc);
-      } catch (err) {
-        console.error('Trap Automator: error attaching trap data', err);
-        ui.notifications.error('An error occurred creating the trap or cache.');
+  getAreaShape(area) {
+    if (area.documentName === 'Region') {
+      const polygons = area.polygons ?? area.object?.polygons ?? [];
+      const tree = area.polygonTree ?? area.object?.polygonTree;
+      const boxes = polygons.map(p => p.getBounds());
+      const x = Math.min(...boxes.map(b => b.x));
+      const y = Math.min(...boxes.map(b => b.y));
+      return {
+        bounds: boxes.length ? {
+          x,
+          y,
+          width: Math.max(...boxes.map(b => b.x + b.width)) - x,
+          height: Math.max(...boxes.map(b => b.y + b.height)) - y
+        } : { x: 0, y: 0, width: 0, height: 0 },
+        contains: (px, py) => !!tree?.testPoint({ x: px, y: py })
+      };
+    }
+    const { width, height, type, points } = area.shape;
+    let inside = (lx, ly) => lx >= 0 && ly >= 0 && lx <= width && ly <= height;
+    if (type === 'e') {
+      inside = (lx, ly) => ((lx - width / 2) / (width / 2)) ** 2 + ((ly - height / 2) / (height / 2)) ** 2 <= 1;
+    } else if ((type === 'p' || type === 'f') && points?.length >= 6) {
+      const polygon = new PIXI.Polygon(points);
+      inside = (lx, ly) => polygon.contains(lx, ly);
+    }
+    // Points are tested in the drawing's own unrotated frame.
+    const angle = (area.rotation || 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const cx = area.x + width / 2;
+    const cy = area.y + height / 2;
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => ({
+      x: cx + (sx * width / 2) * cos - (sy * height / 2) * sin,
+      y: cy + (sx * width / 2) * sin + (sy * height / 2) * cos
+    }));
+    const x = Math.min(...corners.map(c => c.x));
+    const y = Math.min(...corners.map(c => c.y));
+    return {
+      bounds: { x, y, width: Math.max(...corners.map(c => c.x)) - x, height: Math.max(...corners.map(c => c.y)) - y },
+      contains: (px, py) => {
+        const dx = px - cx;
+        const dy = py - cy;
+        return inside(dx * cos + dy * sin + width / 2, -dx * sin + dy * cos + height / 2);
       }
     };
-    Hooks.on('createTile', handler);
   }
 
   /**
-   * Callback invoked when the GM finishes drawing a tile. Builds the trap
-   * data object, stores it as a flag on the tile and spawns hint tokens
-   * around the tile.
-   * @param {TileDocument} tileDoc The newly created tile document
+   * Whether any wall of a scene crosses a rectangle. Walls that only run
+   * along its edge do not count, so tiles may sit flush against a wall.
+   * @param {Scene} scene The scene
+   * @param {Object} rect { x, y, width, height } in pixels
+   * @returns {boolean}
    */
-  async onTileCreated(tileDoc) {
-    const trapData = this.buildTrapData();
-    // Prepare the macro trigger for Monk's Active Tile Triggers. Use the hardcoded
-    // macro UUID provided by the GM via settings. If no custom macro has
-    // been selected, fall back to the default value. Wrap the JSON argument
-    // in quotes to prevent splitting on spaces. Escape double quotes inside
-    // the JSON.
-    const macroUuid = game.settings.get('trap-automator', 'macroId') || 'Macro.z9RXNw9fEKBIkxHW';
+  rectCrossesWall(scene, rect) {
+    const r = { x: rect.x + 1, y: rect.y + 1, width: rect.width - 2, height: rect.height - 2 };
+    const corners = [
+      { x: r.x, y: r.y },
+      { x: r.x + r.width, y: r.y },
+      { x: r.x + r.width, y: r.y + r.height },
+      { x: r.x, y: r.y + r.height }
+    ];
+    const within = p => p.x >= r.x && p.x <= r.x + r.width && p.y >= r.y && p.y <= r.y + r.height;
+    return scene.walls.some(wall => {
+      const [x0, y0, x1, y1] = wall.c;
+      const a = { x: x0, y: y0 };
+      const b = { x: x1, y: y1 };
+      if (within(a) || within(b)) return true;
+      return corners.some((c, i) => foundry.utils.lineSegmentIntersects(a, b, c, corners[(i + 1) % 4]));
+    });
+  }
+
+  /**
+   * Whether a trap tile's hint tokens would all sit in sight of it: every
+   * spot from getHintSpots, with room for a one-square token, lies inside
+   * the scene and no wall runs between it and the tile's centre.
+   * @param {Scene} scene The scene
+   * @param {Object} rect { x, y, width, height } in pixels
+   * @returns {boolean}
+   */
+  hintRingFits(scene, rect) {
+    const { sceneX, sceneY, sceneWidth, sceneHeight } = scene.dimensions;
+    const half = scene.grid.size / 2;
+    const centre = { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+    return this.getHintSpots(rect).every(spot => spot.x - half >= sceneX && spot.y - half >= sceneY
+      && spot.x + half <= sceneX + sceneWidth && spot.y + half <= sceneY + sceneHeight
+      && !scene.walls.some(wall => {
+        const [x0, y0, x1, y1] = wall.c;
+        return foundry.utils.lineSegmentIntersects({ x: x0, y: y0 }, { x: x1, y: y1 }, centre, spot);
+      }));
+  }
+
+  /**
+   * Scatter random traps and caches across a Drawing or Region. Tiles are
+   * laid on the grid inside the area, away from walls (their hint tokens
+   * included, see hintRingFits), from existing tiles
+   * and from each other (a grid square apart, leaving room for the hint
+   * tokens), and each is rolled with pickRandom and gets its own hints.
+   * Tiles that cover the whole area, such as map backgrounds, are not in
+   * the way.
+   * The whole scatter is undone as one placement.
+   * @param {Object} options
+   * @param {DrawingDocument|RegionDocument} [options.area] The area;
+   *   defaults to the selected Drawing or Region
+   * @param {number} [options.count] Number of tiles to place
+   * @param {number} [options.density] Tiles per 100 grid squares of the
+   *   area, used when count is not given
+   * @param {number} [options.trapRatio] Share of traps from 0 to 1; the
+   *   rest are caches
+   * @param {Array<string>} [options.categories] Categories to pick from;
+   *   all if omitted
+   * @param {string} [options.severity] Severity of every trap; rolled per
+   *   trap if omitted
+   * @param {number} [options.size] Tile size in grid units, at most
+   *   MAX_TILE_SIZE; defaults to the tileSize setting
+   * @param {string} [options.texture] Tile texture; defaults to the
+   *   tileTexture setting
+   * @returns {Promise<Array<TileDocument>>} The placed tiles
+   */
+  async scatter({ area = this.getSelectedArea(), count = null, density = null, trapRatio = 0.75, categories = null, severity = null, size = null, texture = null } = {}) {
+    if (!game.user.isGM) {
+      ui.notifications.warn(localize('Notifications.GMOnly'));
+      return [];
+    }
+    if (!area) {
+      ui.notifications.warn(localize('Scatter.NoArea'));
+      return [];
+    }
+    const scene = area.parent;
+    const grid = scene.grid.size;
+    const units = Math.round(size || game.settings.get('trap-automator', 'tileSize') || 1);
+    const tileSize = Math.min(TrapAutomator.MAX_TILE_SIZE, Math.max(1, units)) * grid;
+    const shape = this.getAreaShape(area);
+    const { bounds } = shape;
+    // Every grid-aligned footprint that lies wholly inside the area, crosses
+    // no wall and leaves room for its hint tokens, in random order.
+    const spots = [];
+    let squares = 0;
+    for (let y = Math.floor(bounds.y / grid) * grid; y < bounds.y + bounds.height; y += grid) {
+      for (let x = Math.floor(bounds.x / grid) * grid; x < bounds.x + bounds.width; x += grid) {
+        if (shape.contains(x + grid / 2, y + grid / 2)) squares++;
+        const rect = { x, y, width: tileSize, height: tileSize };
+        const points = [[1, 1], [tileSize - 1, 1], [tileSize - 1, tileSize - 1], [1, tileSize - 1], [tileSize / 2, tileSize / 2]];
+        if (!points.every(([dx, dy]) => shape.contains(x + dx, y + dy))) continue;
+        if (this.rectCrossesWall(scene, rect) || !this.hintRingFits(scene, rect)) continue;
+        spots.push(rect);
+      }
+    }
+    for (let i = spots.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [spots[i], spots[j]] = [spots[j], spots[i]];
+    }
+    const wanted = Math.max(0, Math.round(count ?? (squares * (density ?? 0)) / 100));
+    const covers = r => r.x <= bounds.x && r.y <= bounds.y
+      && r.x + r.width >= bounds.x + bounds.width && r.y + r.height >= bounds.y + bounds.height;
+    const taken = scene.tiles.map(t => this._tileRect(t)).filter(r => !covers(r));
+    const overlaps = (a, b, gap) => a.x < b.x + b.width + gap && b.x < a.x + a.width + gap
+      && a.y < b.y + b.height + gap && b.y < a.y + a.height + gap;
+    const tiles = [];
+    let tokens = [];
+    let matched = true;
+    // Whatever was placed can be undone, even if a later tile fails.
+    try {
+      for (const rect of spots) {
+        if (tiles.length >= wanted) break;
+        if (taken.some(other => overlaps(rect, other, grid))) continue;
+        const first = Math.random() < trapRatio ? 'trap' : 'cache';
+        const data = this.pickRandom({ type: first, categories, severity })
+          || this.pickRandom({ type: first === 'trap' ? 'cache' : 'trap', categories, severity });
+        if (!data) {
+          matched = false;
+          break;
+        }
+        const trapData = this.buildTrapData(data);
+        const hints = this.getHints(trapData, data);
+        taken.push(rect);
+        if (!this.allowCreate(trapData, hints, { scene, rect, source: 'scatter' })) continue;
+        const tileDoc = await this.createPlacementTile(rect, texture ?? game.settings.get('trap-automator', 'tileTexture'), scene);
+        tiles.push(tileDoc);
+        tokens = tokens.concat(await this.attachTrapToTile(tileDoc, trapData, hints));
+      }
+    } finally {
+      this.recordPlacement(localize('Scatter.Label', { count: tiles.length }), tiles, tokens);
+    }
+    if (!matched) ui.notifications.warn(localize('Random.NothingMatches'));
+    else if (tiles.length < wanted) ui.notifications.warn(localize('Scatter.NoRoom', { placed: tiles.length, wanted }));
+    else ui.notifications.info(localize('Scatter.Done', { count: tiles.length }));
+    return tiles;
+  }
+
+  /**
+   * Dialog for scattering traps and caches across the selected Drawing or
+   * Region (see scatter).
+   */
+  openScatterDialog() {
+    if (!this.getSelectedArea()) {
+      ui.notifications.warn(localize('Scatter.NoArea'));
+      return;
+    }
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const option = (value, label) => `<option value="${esc(value)}">${esc(label)}</option>`;
+    const categories = new Set(this.getAvailableTrapCategories(this.getTrapCategoryMap()));
+    for (const key of Object.keys(this.definitions.cache || {})) {
+      const cat = this.definitions.cache[key].category;
+      if (cat && this.isDefinitionOffered('cache', key)) categories.add(cat);
+    }
+    const checkboxes = Array.from(categories).sort()
+      .map(c => `<label class="checkbox"><input type="checkbox" name="ta-scatter-cat" value="${esc(c)}" checked /> ${esc(c)}</label>`)
+      .join('');
+    const content = `<form>
+      <p class="notes">${localize('Scatter.Prompt')}</p>
+      <div class="form-group">
+        <label for="ta-scatter-amount">${localize('Scatter.Amount')}</label>
+        <div class="form-fields">
+          <input id="ta-scatter-amount" type="number" min="0" step="any" value="5" />
+          <select id="ta-scatter-mode">${option('count', localize('Scatter.Count'))}${option('density', localize('Scatter.Density'))}</select>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="ta-scatter-ratio">${localize('Scatter.Ratio')}</label>
+        <input id="ta-scatter-ratio" type="number" min="0" max="100" step="5" value="75" />
+      </div>
+      <div class="form-group">
+        <label for="ta-scatter-size">${localize('Builder.Size')}</label>
+        <input id="ta-scatter-size" type="number" min="1" max="${TrapAutomator.MAX_TILE_SIZE}" step="1" value="${esc(game.settings.get('trap-automator', 'tileSize') || 1)}" />
+      </div>
+      <div class="form-group">
+        <label for="ta-scatter-severity">${localize('Severity.Label')}</label>
+        <select id="ta-scatter-severity">${option('', localize('Random.Any'))}${TrapAutomator.SEVERITIES.map(s => option(s, this.getSeverityLabel(s))).join('')}</select>
+      </div>
+      <fieldset>
+        <legend>${localize('Scatter.Categories')}</legend>
+        <div class="form-fields" style="flex-wrap: wrap;">${checkboxes}</div>
+      </fieldset>
+    </form>`;
+    new Dialog({
+      title: localize('Scatter.Title'),
+      content,
+      buttons: {
+        scatter: {
+          label: localize('Scatter.Button'),
+          callback: html => {
+            const amount = Math.max(0, Number(html.find('#ta-scatter-amount').val()) || 0);
+            const byDensity = html.find('#ta-scatter-mode').val() === 'density';
+            const ratio = Number(html.find('#ta-scatter-ratio').val());
+            const categories = html.find('input[name="ta-scatter-cat"]:checked').map((i, el) => el.value).get();
+            if (!categories.length) {
+              ui.notifications.warn(localize('Scatter.NoCategories'));
+              return;
+            }
+            this.scatter({
+              count: byDensity ? null : amount,
+              density: byDensity ? amount : null,
+              trapRatio: Number.isFinite(ratio) ? Math.min(100, Math.max(0, ratio)) / 100 : 0.75,
+              categories,
+              severity: html.find('#ta-scatter-severity').val() || null,
+              size: Number(html.find('#ta-scatter-size').val()) || null
+            }).catch(err => {
+              console.error('Trap Automator: failed to scatter traps and caches', err);
+              ui.notifications.error(localize('Scatter.Failed'));
+            });
+          }
+        },
+        cancel: { label: localize('Common.Cancel') }
+      },
+      default: 'scatter'
+    }).render(true);
+  }
+
+  /**
+   * Start placing the tile for the current trap or cache. Only one placement
+   * can be active at a time; starting another cancels the previous one.
+   * While active an on-screen indicator explains what to do and offers a
+   * Cancel button. Escape also cancels, as does changing scene, and the
+   * placement times out after the configured number of seconds. Every
+   * listener registered here is removed when the placement ends, however
+   * it ends.
+   * @param {Object} options
+   * @param {string} options.mode 'click' or 'draw'
+   * @param {number} options.width Footprint width in grid units (click mode)
+   * @param {number} options.height Footprint height in grid units (click mode)
+   * @param {string} options.texture Optional tile texture (click mode)
+   * @param {string} options.label Text shown in the indicator
+   * @param {Function} options.allow Called with the scene and the tile
+   *   rectangle before the tile is created; returning false ends the
+   *   placement without creating it. Defaults to running the
+   *   trapAutomator.preCreate hooks for the current trap or cache
+   * @param {Function} options.onPlaced Called with the placed tile; defaults
+   *   to onTileCreated
+   */
+  beginPlacement({ mode = 'click', width = 1, height = 1, texture = '', label = localize('Placement.DefaultLabel'), allow = null, onPlaced = null } = {}) {
+    this.cancelPlacement({ silent: true });
+    // The default check prepares the trap data and hints that the default
+    // handler then stores, so changes made by preCreate listeners are kept.
+    let creation = null;
+    const check = allow || ((scene, rect) => {
+      creation = this.prepareCreation();
+      if (this.allowCreate(creation.trapData, creation.hints, { scene, rect, source: 'builder' })) return true;
+      ui.notifications.info(localize('Placement.Vetoed'));
+      return false;
+    });
+    const placed = onPlaced || (tileDoc => this.onTileCreated(tileDoc, creation));
+    const session = { cleanup: [] };
+    this.placement = session;
+    const finish = async tileDoc => {
+      this.endPlacement();
+      try {
+        await placed(tileDoc);
+      } catch (err) {
+        console.error('Trap Automator: error attaching trap data', err);
+        ui.notifications.error(localize('Placement.Error'));
+      }
+    };
+    if (mode === 'draw') this._listenForDrawnTile(session, finish, check);
+    else this._listenForClick(session, finish, check, { width, height, texture });
+
+    // Escape cancels. Listen in the capture phase so Foundry's own Escape
+    // handling (closing windows, releasing selections) does not also run.
+    const onKey = event => {
+      if (event.key !== 'Escape') return;
+      event.preventDefault();
+      event.stopPropagation();
+      this.cancelPlacement();
+    };
+    window.addEventListener('keydown', onKey, true);
+    session.cleanup.push(() => window.removeEventListener('keydown', onKey, true));
+
+    // Leaving the scene invalidates the placement.
+    const teardownId = Hooks.on('canvasTearDown', () => this.cancelPlacement());
+    session.cleanup.push(() => Hooks.off('canvasTearDown', teardownId));
+
+    const seconds = Number(game.settings.get('trap-automator', 'placementTimeout')) || 0;
+    if (seconds > 0) {
+      const timer = setTimeout(() => this.cancelPlacement({ reason: 'timeout' }), seconds * 1000);
+      session.cleanup.push(() => clearTimeout(timer));
+    }
+
+    const instructions = localize(mode === 'draw' ? 'Placement.Draw' : 'Placement.Click', {
+      label: Handlebars.escapeExpression(label)
+    });
+    const indicator = document.createElement('div');
+    indicator.id = 'trap-automator-placement';
+    indicator.style.cssText = 'position:fixed;top:70px;left:50%;transform:translateX(-50%);z-index:100;'
+      + 'padding:6px 12px;background:rgba(0,0,0,0.8);color:#fff;border:1px solid #ff6400;border-radius:5px;'
+      + 'display:flex;gap:10px;align-items:center;';
+    indicator.innerHTML = `<i class="fa-solid fa-crosshairs"></i>
+      <span>${instructions}</span>
+      <button type="button" style="width:auto;line-height:1.5;">${localize('Common.Cancel')}</button>`;
+    indicator.querySelector('button').addEventListener('click', () => this.cancelPlacement());
+    document.body.appendChild(indicator);
+    session.cleanup.push(() => indicator.remove());
+  }
+
+  /**
+   * Finish the active placement, removing its indicator and listeners.
+   */
+  endPlacement() {
+    const session = this.placement;
+    if (!session) return;
+    this.placement = null;
+    for (const fn of session.cleanup) {
+      try {
+        fn();
+      } catch (err) {
+        console.error('Trap Automator: error cleaning up placement', err);
+      }
+    }
+  }
+
+  /**
+   * Abort the active placement, if any, and tell the GM why.
+   * @param {Object} options
+   * @param {string} options.reason 'cancel' or 'timeout'
+   * @param {boolean} options.silent Skip the notification
+   */
+  cancelPlacement({ reason = 'cancel', silent = false } = {}) {
+    if (!this.placement) return;
+    this.endPlacement();
+    if (silent) return;
+    if (reason === 'timeout') ui.notifications.warn(localize('Placement.TimedOut'));
+    else ui.notifications.info(localize('Placement.Cancelled'));
+  }
+
+  /**
+   * Draw placement: wait for a tile created by the current user on the
+   * current scene. Tiles created by other users or modules, or on other
+   * scenes, are ignored. The drawn tile is checked before it is created, so
+   * a refused tile never exists.
+   * @param {Object} session Active placement session
+   * @param {Function} finish Called with the drawn tile
+   * @param {Function} allow Called with the scene and tile rectangle;
+   *   returning false refuses the tile and ends the placement
+   */
+  _listenForDrawnTile(session, finish, allow) {
+    const sceneId = canvas.scene?.id;
+    const ours = (tileDoc, userId) => userId === game.user.id && tileDoc.parent?.id === sceneId;
+    const preHookId = Hooks.on('preCreateTile', (tileDoc, data, options, userId) => {
+      if (!ours(tileDoc, userId) || allow(tileDoc.parent, this._tileRect(tileDoc))) return;
+      this.endPlacement();
+      return false;
+    });
+    const hookId = Hooks.on('createTile', (tileDoc, options, userId) => {
+      if (!ours(tileDoc, userId)) return;
+      finish(tileDoc);
+    });
+    session.cleanup.push(() => {
+      Hooks.off('preCreateTile', preHookId);
+      Hooks.off('createTile', hookId);
+    });
+  }
+
+  /**
+   * Click placement: wait for the GM to click a grid square, or press and
+   * drag across several squares, then create a tile covering that footprint.
+   * A plain click uses the default footprint size; a drag covers every
+   * square between the press and release points. A right click cancels.
+   * @param {Object} session Active placement session
+   * @param {Function} finish Called with the created tile
+   * @param {Function} allow Called with the scene and tile rectangle before
+   *   the tile is created; returning false ends the placement without it
+   * @param {Object} options { width, height, texture }
+   */
+  _listenForClick(session, finish, allow, { width = 1, height = 1, texture = '' } = {}) {
+    const stage = canvas.stage;
+    let origin = null;
+    const onDown = event => {
+      if (event.button === 2) {
+        this.cancelPlacement();
+        return;
+      }
+      if (event.button !== 0) return;
+      origin = event.getLocalPosition(stage);
+    };
+    const onUp = async event => {
+      if (!origin || event.button !== 0) return;
+      const end = event.getLocalPosition(stage);
+      const rect = this.getFootprint(origin, end, width, height);
+      // Stop listening before the tile exists so a second click cannot
+      // create a second tile.
+      this.endPlacement();
+      if (!allow(canvas.scene, rect)) return;
+      let tileDoc;
+      try {
+        tileDoc = await this.createPlacementTile(rect, texture);
+      } catch (err) {
+        console.error('Trap Automator: error placing tile', err);
+        ui.notifications.error(localize('Placement.Error'));
+        return;
+      }
+      await finish(tileDoc);
+    };
+    stage.on('pointerdown', onDown);
+    stage.on('pointerup', onUp);
+    session.cleanup.push(() => {
+      stage.off('pointerdown', onDown);
+      stage.off('pointerup', onUp);
+    });
+  }
+
+  /**
+   * Compute a grid-aligned rectangle from a press and release point. If both
+   * points fall in the same grid square the default footprint is used,
+   * anchored at that square.
+   * @param {Object} origin Press point in canvas coordinates
+   * @param {Object} end Release point in canvas coordinates
+   * @param {number} width Default width in grid units
+   * @param {number} height Default height in grid units
+   * @returns {Object} { x, y, width, height } in pixels
+   */
+  getFootprint(origin, end, width = 1, height = 1) {
+    const size = canvas.grid.size;
+    const a = canvas.grid.getTopLeftPoint(origin);
+    const b = canvas.grid.getTopLeftPoint(end);
+    if (a.x === b.x && a.y === b.y) {
+      return { x: a.x, y: a.y, width: Math.max(1, width) * size, height: Math.max(1, height) * size };
+    }
+    return {
+      x: Math.min(a.x, b.x),
+      y: Math.min(a.y, b.y),
+      width: Math.abs(a.x - b.x) + size,
+      height: Math.abs(a.y - b.y) + size
+    };
+  }
+
+  /**
+   * Create an empty tile for click placement.
+   * @param {Object} rect { x, y, width, height } in pixels
+   * @param {string} texture Optional texture path
+   * @param {Scene} scene Scene to create the tile on; defaults to the
+   *   viewed scene
+   * @returns {Promise<TileDocument>} The created tile
+   */
+  async createPlacementTile(rect, texture = '', scene = canvas.scene) {
+    const [tileDoc] = await scene.createEmbeddedDocuments('Tile', [{
+      x: rect.x,
+      y: rect.y,
+      width: rect.width,
+      height: rect.height,
+      texture: { src: texture || null }
+    }]);
+    return tileDoc;
+  }
+
+  /**
+   * Build the trap data and hints for the current trap or cache. The hints
+   * chosen in the builder preview are used, otherwise a set is picked for
+   * the trap's location.
+   * @returns {Object} { trapData, hints }
+   */
+  prepareCreation() {
+    const trapData = this.buildTrapData();
+    const hints = { ...(this.currentData.hints || this.getHints(trapData)) };
+    return { trapData, hints };
+  }
+
+  /**
+   * Callback invoked when the GM finishes placing a tile. Stores the trap
+   * data as a flag on the tile and spawns hint tokens around the tile.
+   * @param {TileDocument} tileDoc The newly created tile document
+   * @param {Object} [creation] { trapData, hints } as checked before the
+   *   tile was created; prepared from the current data if omitted
+   */
+  async onTileCreated(tileDoc, creation = null) {
+    const { trapData, hints } = creation || this.prepareCreation();
+    const tokens = await this.attachTrapToTile(tileDoc, trapData, hints);
+    this.recordPlacement(trapData.name, [tileDoc], tokens);
+    ui.notifications.info(localize('Placement.Created'));
+  }
+
+  /**
+   * Store trap data and the Monk's Active Tiles trigger on a tile, then spawn
+   * its hint tokens and fire the `trapAutomator.created` hook. Failures are
+   * reported but do not abort the remaining steps.
+   * @param {TileDocument} tileDoc The tile to turn into a trap or cache
+   * @param {Object} trapData Trap data from buildTrapData
+   * @param {Object} hints Map of diff levels to hint strings
+   * @param {Object} matt Monk's Active Tiles flags to start from; its
+   *   runmacro action is replaced with one for this trap
+   * @returns {Promise<Array<TokenDocument>>} The spawned hint tokens
+   */
+  async attachTrapToTile(tileDoc, trapData, hints, matt = null) {
+    const base = matt ? foundry.utils.deepClone(matt) : {
+      trigger: 'enter',
+      active: true,
+      restrictedTokens: 'players',
+      actions: []
+    };
+    const action = this.buildMacroAction(trapData);
+    const actions = (base.actions || []).map(a => ({ ...a, id: foundry.utils.randomID() }));
+    const idx = actions.findIndex(a => a.action === 'runmacro');
+    if (idx >= 0) actions[idx] = { ...action, data: { ...actions[idx].data, args: action.data.args } };
+    else actions.push(action);
+    base.actions = actions;
+    const actionId = actions[idx >= 0 ? idx : actions.length - 1].id;
+    let tokens = [];
+    // Update tile flags to include trap data and macro trigger. Use update() so
+    // both flags are written in a single call.
+    try {
+      await tileDoc.update({
+        flags: {
+          'trap-automator': { trapData, actionId },
+          'monks-active-tiles': base
+        }
+      });
+    } catch (err) {
+      console.error('Trap Automator: Failed to update tile flags', err);
+      ui.notifications.error(localize('Placement.TriggerFailed'));
+    }
+    // Spawn hint tokens around the tile and remember their ids on the tile.
+    try {
+      tokens = await this.spawnHintsAroundTile(tileDoc, hints);
+      await tileDoc.setFlag('trap-automator', 'hintTokenIds', tokens.map(t => t.id));
+    } catch (err) {
+      console.error('Trap Automator: Failed to spawn hint tokens', err);
+      ui.notifications.error(localize('Placement.HintsFailed'));
+    }
+    Hooks.callAll('trapAutomator.created', tileDoc, trapData, tokens);
+    return tokens;
+  }
+
+  /**
+   * Remember a placement so it can be undone as a single step. Only the
+   * most recent twenty placements are kept.
+   * @param {string} label Name shown when the placement is undone
+   * @param {Array<TileDocument>} tiles Tiles created by the placement
+   * @param {Array<TokenDocument>} tokens Hint tokens created by the placement
+   */
+  recordPlacement(label, tiles, tokens = []) {
+    if (!tiles.length) return;
+    this.placementHistory.push({
+      label,
+      sceneId: tiles[0].parent.id,
+      tileIds: tiles.map(t => t.id),
+      tokenIds: tokens.map(t => t.id)
+    });
+    if (this.placementHistory.length > 20) this.placementHistory.shift();
+  }
+
+  /**
+   * Undo the most recent placement: delete its hint tokens, including any
+   * recreated since by re-rolling, and then its tiles. Documents that have
+   * already been deleted by hand are skipped.
+   */
+  async undoLastPlacement() {
+    const entry = this.placementHistory.pop();
+    if (!entry) {
+      ui.notifications.warn(localize('Undo.Nothing'));
+      return;
+    }
+    const scene = game.scenes.get(entry.sceneId);
+    if (!scene) {
+      ui.notifications.warn(localize('Undo.NoScene'));
+      return;
+    }
+    const tiles = entry.tileIds.map(id => scene.tiles.get(id)).filter(t => t);
+    const tokenIds = new Set(entry.tokenIds.filter(id => scene.tokens.has(id)));
+    for (const tile of tiles) {
+      for (const token of this.getHintTokens(tile)) tokenIds.add(token.id);
+    }
+    if (tokenIds.size) await scene.deleteEmbeddedDocuments('Token', Array.from(tokenIds));
+    if (tiles.length) {
+      await scene.deleteEmbeddedDocuments('Tile', tiles.map(t => t.id), { trapAutomatorHints: 'keep' });
+    }
+    ui.notifications.info(localize('Undo.Done', { label: entry.label }));
+  }
+
+  /**
+   * Duplicate a placed trap or cache. Asks whether to re-roll the hints,
+   * then starts click placement with the source tile's size and texture.
+   * @param {TileDocument} tileDoc The trap tile to copy
+   */
+  duplicateTrap(tileDoc) {
+    const trapData = tileDoc.getFlag('trap-automator', 'trapData');
+    if (!trapData) {
+      ui.notifications.warn(localize('Tiles.NoTrapData'));
+      return;
+    }
+    const canReroll = !!(trapData.key && this.definitions[trapData.type]?.[trapData.key]);
+    const content = `<form>
+      <p>${localize('Duplicate.Prompt', { name: Handlebars.escapeExpression(trapData.name) })}</p>
+      <div class="form-group">
+        <label><input type="checkbox" name="ta-dup-reroll"${canReroll ? '' : ' disabled'} /> ${localize('Duplicate.Reroll')}</label>
+      </div>
+    </form>`;
+    new Dialog({
+      title: localize('Duplicate.Title'),
+      content,
+      buttons: {
+        place: {
+          label: localize('Duplicate.Place'),
+          callback: html => {
+            const reroll = html.find('[name="ta-dup-reroll"]').is(':checked');
+            const grid = tileDoc.parent.grid.size;
+            let copy = null;
+            this.beginPlacement({
+              mode: 'click',
+              width: tileDoc.width / grid,
+              height: tileDoc.height / grid,
+              texture: tileDoc.texture?.src || '',
+              label: localize('Duplicate.Label', { name: trapData.name }),
+              allow: (scene, rect) => {
+                copy = this.prepareCopy(tileDoc, { reroll });
+                if (this.allowCreate(copy.trapData, copy.hints, { scene, rect, source: 'duplicate' })) return true;
+                ui.notifications.info(localize('Duplicate.Vetoed'));
+                return false;
+              },
+              onPlaced: newTile => this.copyTrapToTile(tileDoc, newTile, copy)
+            });
+          }
+        },
+        cancel: { label: localize('Common.Cancel') }
+      },
+      default: 'place'
+    }).render(true);
+  }
+
+  /**
+   * Build the trap data and hints for a copy of a placed trap. The hints
+   * either repeat the source trap's current hints or are re-rolled from the
+   * same definition.
+   * @param {TileDocument} source The trap tile to copy
+   * @param {Object} options
+   * @param {boolean} options.reroll Pick a new hint set instead of copying
+   * @returns {Object} { trapData, hints }
+   */
+  prepareCopy(source, { reroll = false } = {}) {
+    const trapData = foundry.utils.deepClone(source.getFlag('trap-automator', 'trapData'));
+    let hints = {};
+    if (reroll) {
+      hints = this.getHints(trapData, trapData);
+    } else {
+      for (const token of this.getHintTokens(source)) {
+        hints[token.getFlag('trap-automator', 'hintTier')] = token.name;
+      }
+    }
+    return { trapData, hints };
+  }
+
+  /**
+   * Copy the trap data and Monk's Active Tiles trigger of one tile onto
+   * another and spawn a fresh hint ring.
+   * @param {TileDocument} source The trap tile to copy
+   * @param {TileDocument} target The new tile
+   * @param {Object} copy { trapData, hints } from prepareCopy
+   * @returns {Promise<Array<TokenDocument>>} The spawned hint tokens
+   */
+  async copyTrapToTile(source, target, { trapData, hints }) {
+    const matt = foundry.utils.deepClone(source.flags['monks-active-tiles'] || {});
+    delete matt.history;
+    const tokens = await this.attachTrapToTile(target, trapData, hints, matt);
+    this.recordPlacement(trapData.name, [target], tokens);
+    ui.notifications.info(localize('Duplicate.Done', { name: trapData.name }));
+    return tokens;
+  }
+
+  /**
+   * Build the public API exposed as game.modules.get('trap-automator').api.
+   * Only stable entry points are listed here; everything else on the
+   * TrapAutomator instance is internal. See the README for usage.
+   * @returns {Object} The API object
+   */
+  buildApi() {
+    return Object.freeze({
+      createTrap: options => this.createFromApi('trap', options),
+      createCache: options => this.createFromApi('cache', options),
+      pickRandom: options => this.pickRandom(options),
+      surpriseMe: options => this.surpriseMe(options),
+      scatter: options => this.scatter(options),
+      registerDefinitions: (pack, { id = 'api', label = localize('Packs.Api') } = {}) => this.registerPack(id, pack, { label }),
+      notifyTriggered: (trapData, context) => this.notifyTriggered(trapData, context),
+      getSceneTraps: scene => this.getSceneTraps(scene),
+      getDefinitions: type => foundry.utils.deepClone(type ? this.definitions[type] || {} : this.definitions)
+    });
+  }
+
+  /**
+   * Create a trap or cache without going through the builder. A tile is
+   * created on the target scene, or an existing tile is converted when
+   * `tileId` is given, and hint tokens are spawned around it exactly as
+   * for a placement made by hand. Missing settings fall back to the
+   * definition's defaults. Errors are thrown rather than shown so calling
+   * macros can handle them.
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {Object} options
+   * @param {string} options.key Definition key
+   * @param {string} [options.location] Location; defaults to the first one
+   * @param {string} [options.trigger] Trigger phrase (traps); defaults to
+   *   the first trigger of the trap's category
+   * @param {string} [options.severity] setback, dangerous or deadly (traps);
+   *   fills in the DC, attack bonus and damage from the severity table
+   * @param {number} [options.level] Character level for the severity;
+   *   defaults to the party level
+   * @param {number} [options.dc] Save DC (traps)
+   * @param {number} [options.attack] Attack bonus (traps)
+   * @param {string} [options.saveType] Save ability (traps)
+   * @param {string} [options.damage] Damage formula (traps)
+   * @param {string} [options.damageType] Damage type (traps)
+   * @param {boolean} [options.half] Half damage on a successful save (traps)
+   * @param {string} [options.effect] Extra effect text on failure (traps)
+   * @param {string} [options.description] Found text (caches)
+   * @param {Object} [options.hints] Hint texts keyed by tier; picked from
+   *   the definition if omitted
+   * @param {Object} [options.overrides] Replacement narrative texts
+   * @param {number} [options.x] Left edge of the tile in pixels
+   * @param {number} [options.y] Top edge of the tile in pixels
+   * @param {number} [options.width] Tile width in grid units
+   * @param {number} [options.height] Tile height in grid units
+   * @param {string} [options.texture] Tile texture
+   * @param {string} [options.sceneId] Target scene; defaults to the viewed
+   *   scene
+   * @param {string} [options.tileId] Existing tile to turn into the trap
+   * @returns {Promise<TileDocument|null>} The trap tile, or null if a
+   *   trapAutomator.preCreate listener cancelled the creation
+   */
+  async createFromApi(type, options = {}) {
+    if (!game.user.isGM) throw new Error('Trap Automator: only a GM can create traps or caches.');
+    const { key } = options;
+    const def = key ? this.definitions[type]?.[key] : null;
+    if (!def) throw new Error(`Trap Automator: unknown ${type} definition "${key}".`);
+    if (!this.isDefinitionUsable(type, key)) {
+      throw new Error(`Trap Automator: the ${type} definition "${key}" is incomplete: ${this.invalid[type][key].join(', ')}.`);
+    }
+    const locations = this.getLocations(type, key);
+    const location = options.location || locations[0];
+    if (!this.definitions.locations[location]) throw new Error(`Trap Automator: unknown location "${location}".`);
+    if (!locations.includes(location)) {
+      throw new Error(`Trap Automator: the ${type} definition "${key}" cannot be placed at location "${location}".`);
+    }
+    const scene = options.sceneId ? game.scenes.get(options.sceneId) : canvas.scene;
+    if (!scene) throw new Error('Trap Automator: no scene to create the trap on.');
+    let tileDoc = null;
+    if (options.tileId) {
+      tileDoc = scene.tiles.get(options.tileId);
+      if (!tileDoc) throw new Error(`Trap Automator: no tile "${options.tileId}" on scene "${scene.name}".`);
+    } else if (!Number.isFinite(options.x) || !Number.isFinite(options.y)) {
+      throw new Error('Trap Automator: x and y are required unless a tileId is given.');
+    }
+    const data = { type, key, location, overrides: options.overrides || null };
+    if (type === 'trap') {
+      if (options.severity && !TrapAutomator.SEVERITIES.includes(options.severity)) {
+        throw new Error(`Trap Automator: unknown severity "${options.severity}".`);
+      }
+      const preset = options.severity ? this.getSeverityPreset(key, options.severity, options.level) : {};
+      Object.assign(data, {
+        trigger: options.trigger ?? this.getTriggersForTrap(key)[0] ?? '',
+        severity: options.severity || '',
+        level: preset.level ?? null,
+        dc: options.dc ?? preset.dc ?? def.defaultDC ?? 10,
+        attack: options.attack ?? preset.attack ?? null,
+        saveType: options.saveType || def.defaultSave || 'dex',
+        damage: options.damage || preset.damage || '',
+        damageType: options.damageType || def.damageType || '',
+        half: !!options.half,
+        effect: options.effect || ''
+      });
+    } else if (options.description) {
+      data.description = options.description;
+    }
+    const trapData = this.buildTrapData(data);
+    const hints = options.hints ? { ...options.hints } : this.getHints(trapData, data);
+    const size = game.settings.get('trap-automator', 'tileSize') || 1;
+    const rect = tileDoc ? this._tileRect(tileDoc) : {
+      x: options.x,
+      y: options.y,
+      width: (options.width || size) * scene.grid.size,
+      height: (options.height || size) * scene.grid.size
+    };
+    if (!this.allowCreate(trapData, hints, { scene, rect, source: 'api' })) return null;
+    if (!tileDoc) {
+      const texture = options.texture ?? game.settings.get('trap-automator', 'tileTexture');
+      tileDoc = await this.createPlacementTile(rect, texture, scene);
+    }
+    const tokens = await this.attachTrapToTile(tileDoc, trapData, hints);
+    this.recordPlacement(trapData.name, [tileDoc], tokens);
+    return tileDoc;
+  }
+
+  /**
+   * Give other modules the chance to adjust or veto a new trap or cache.
+   * Listeners of `trapAutomator.preCreate` receive the trap data, the hint
+   * texts and a context { scene, rect, source } and may change the first
+   * two in place. Returning false cancels the creation.
+   * @param {Object} trapData Trap data from buildTrapData
+   * @param {Object} hints Map of diff levels to hint strings
+   * @param {Object} context Where the trap is created and by what:
+   *   source is 'builder', 'duplicate', 'api' or 'scatter'
+   * @returns {boolean} Whether the creation may go ahead
+   */
+  allowCreate(trapData, hints, context) {
+    return Hooks.call('trapAutomator.preCreate', trapData, hints, context) !== false;
+  }
+
+  /**
+   * Announce that a trap or cache went off. The Trap Trigger macro in the
+   * module's compendium calls this through the API once the save is
+   * resolved, so other modules can react via the `trapAutomator.triggered`
+   * hook; a replacement trigger macro should do the same.
+   * @param {Object} trapData The trap data the macro received
+   * @param {Object} context Anything useful to listeners, such as the
+   *   triggering token and the tile
+   */
+  notifyTriggered(trapData, context = {}) {
+    Hooks.callAll('trapAutomator.triggered', trapData, context);
+  }
+
+  /**
+   * Prepare the macro trigger for Monk's Active Tile Triggers. Use the
+   * macro UUID selected by the GM via settings. If no custom macro has been
+   * selected, fall back to the default value. Wrap the JSON argument in
+   * quotes to prevent splitting on spaces. Escape double quotes inside the
+   * JSON.
+   * @param {Object} trapData The trap data passed to the macro
+   * @param {string} id Action id to reuse; a new one is generated if omitted
+   * @returns {Object} A Monk's Active Tiles action
+   */
+  buildMacroAction(trapData, id = null) {
+    const macroUuid = game.settings.get('trap-automator', 'macroId') || 'Macro.z9RXNw9fEKBIkxHW';
     const rawJson = JSON.stringify(trapData);
     const escaped = rawJson.replace(/"/g, '\\"');
     const argString = `"${escaped}"`;
-    const action = {
-      id: foundry.utils.randomID(),
+    return {
+      id: id || foundry.utils.randomID(),
       action: 'runmacro',
       data: {
         macroid: macroUuid,
@@ -2309,201 +4554,1879 @@ class TrapAutomator {
         runasgm: 'player'
       }
     };
-    // Build hint strings for each difficulty based on location
-    const hints = this.getHints(trapData);
-    // Update tile flags to include trap data and macro trigger. Use update() so
-    // both flags are written in a single call.
-    try {
-      await tileDoc.update({
-        flags: {
-          'trap-automator': { trapData },
-          'monks-active-tiles': {
-            trigger: 'enter',
-            active: true,
-            restrictedTokens: 'players',
-            actions: [action]
+  }
+
+  /**
+   * Rewrite the trap data on an existing tile together with the arguments
+   * of its Monk's Active Tiles macro action. The action is found by the id
+   * recorded at creation, falling back to the first runmacro action for
+   * tiles created by earlier versions. Other actions and the action's macro
+   * choice are left as they are.
+   * @param {TileDocument} tileDoc The trap tile
+   * @param {Object} trapData The new trap data
+   */
+  async writeTrapToTile(tileDoc, trapData) {
+    const actions = foundry.utils.deepClone(tileDoc.getFlag('monks-active-tiles', 'actions') || []);
+    const actionId = tileDoc.getFlag('trap-automator', 'actionId');
+    let idx = actions.findIndex(a => a.id === actionId);
+    if (idx < 0) idx = actions.findIndex(a => a.action === 'runmacro');
+    const action = this.buildMacroAction(trapData, idx >= 0 ? actions[idx].id : null);
+    if (idx >= 0) {
+      action.data = { ...actions[idx].data, args: action.data.args };
+      actions[idx] = action;
+    } else {
+      actions.push(action);
+    }
+    await tileDoc.update({
+      'flags.trap-automator.trapData': trapData,
+      'flags.trap-automator.actionId': action.id,
+      'flags.monks-active-tiles.actions': actions
+    });
+  }
+
+  /**
+   * Open the builder pre-filled from a placed trap or cache so its details
+   * can be changed. Narrative texts that were edited before placement are
+   * carried over as edits.
+   * @param {TileDocument} tileDoc The trap tile
+   */
+  openTileEditor(tileDoc) {
+    const trapData = tileDoc.getFlag('trap-automator', 'trapData');
+    if (!trapData) {
+      ui.notifications.warn(localize('Tiles.NoTrapData'));
+      return null;
+    }
+    const type = trapData.type;
+    const def = trapData.key ? this.definitions[type]?.[trapData.key] : null;
+    if (!def) {
+      ui.notifications.error(localize('Tiles.DefinitionMissingEdit'));
+      return null;
+    }
+    const { primary, sub } = this.categorizeCategory(def.category);
+    const data = {
+      type,
+      key: trapData.key,
+      location: trapData.location,
+      trigger: trapData.trigger || '',
+      category: primary,
+      subCategory: sub || '',
+      defaultsFor: trapData.key,
+      // Traps placed before narratives were localised are English.
+      language: trapData.language || 'en'
+    };
+    if (type === 'trap') {
+      // A stored severity selects the level range it was taken from without
+      // applying the table again, so edited values are kept.
+      const row = trapData.severity && trapData.level ? this.getSeverityRow(trapData.level) : null;
+      Object.assign(data, {
+        severity: row ? trapData.severity : '',
+        level: row ? String(row.minLevel) : 'party',
+        dc: trapData.DC,
+        attack: trapData.attackBonus ?? '',
+        saveType: trapData.saveType,
+        damage: trapData.damageFormula || '',
+        damageType: trapData.damageType || '',
+        half: !!trapData.halfDamageOnSuccess,
+        effect: trapData.effect || ''
+      });
+    } else if (trapData.foundText !== this.localizeDefinition(type, trapData.key, data.language).description?.found) {
+      data.description = trapData.foundText;
+    }
+    const composed = this.buildTrapData(data);
+    const fields = ['flavor', 'failText', 'successText', 'foundText'].filter(f => f in composed && trapData[f] !== composed[f]);
+    if (fields.length) data.overrides = Object.fromEntries(fields.map(f => [f, trapData[f]]));
+    data.previewFor = [type, data.key, data.location, data.trigger].join('|');
+    if (data.severity) data.presetFor = [data.key, data.severity, data.level].join('|');
+    const app = new TrapBuilderApp(this, data, { tileDoc });
+    app.render(true);
+    return app;
+  }
+
+  /**
+   * Add trap controls to the Tile HUD of tiles that carry trap or cache
+   * data. Only GMs see them.
+   * @param {TileHUD} hud The rendered HUD
+   * @param {HTMLElement} html The HUD element
+   */
+  onRenderTileHUD(hud, html) {
+    if (!game.user.isGM) return;
+    const tileDoc = hud.document ?? hud.object?.document;
+    if (!tileDoc?.getFlag('trap-automator', 'trapData')) return;
+    const root = html instanceof HTMLElement ? html : html[0];
+    const column = root?.querySelector('.col.right');
+    if (!column) return;
+    const controls = [
+      { label: localize('Tiles.Configure'), icon: 'fa-bomb', onClick: () => this.openTileEditor(tileDoc) },
+      { label: localize('Tiles.RerollHints'), icon: 'fa-dice', onClick: () => this.rerollTileHints(tileDoc) },
+      { label: localize('Duplicate.Title'), icon: 'fa-clone', onClick: () => this.duplicateTrap(tileDoc) }
+    ];
+    for (const { label, icon, onClick } of controls) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.classList.add('control-icon');
+      button.dataset.tooltip = label;
+      button.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+      button.addEventListener('click', event => {
+        event.preventDefault();
+        onClick();
+      });
+      column.appendChild(button);
+    }
+  }
+
+  /**
+   * Pick a new hint set for a placed trap or cache from its definition and
+   * location. Linked hint tokens are renamed in place; tokens for tiers
+   * that are missing are recreated and tokens for tiers the new set leaves
+   * empty are removed.
+   * @param {TileDocument} tileDoc The trap tile
+   */
+  async rerollTileHints(tileDoc) {
+    const trapData = tileDoc.getFlag('trap-automator', 'trapData');
+    if (!trapData?.key || !this.definitions[trapData.type]?.[trapData.key]) {
+      ui.notifications.error(localize('Tiles.DefinitionMissingReroll'));
+      return;
+    }
+    const scene = tileDoc.parent;
+    const hints = this.getHints(trapData, trapData);
+    const existing = this.getHintTokens(tileDoc);
+    const updates = [];
+    const removals = [];
+    const missing = {};
+    for (const [diff, text] of Object.entries(hints)) {
+      const tokens = existing.filter(t => t.getFlag('trap-automator', 'hintTier') === diff);
+      if (!text) removals.push(...tokens.map(t => t.id));
+      else if (tokens.length) updates.push(...tokens.map(t => ({ _id: t.id, name: text })));
+      else missing[diff] = text;
+    }
+    if (updates.length) await scene.updateEmbeddedDocuments('Token', updates);
+    if (removals.length) await scene.deleteEmbeddedDocuments('Token', removals);
+    if (Object.keys(missing).length) await this.spawnHintsAroundTile(tileDoc, missing);
+    await tileDoc.setFlag('trap-automator', 'hintTokenIds', this.getHintTokens(tileDoc).map(t => t.id));
+    ui.notifications.info(localize('Tiles.HintsRerolled', { name: trapData.name }));
+  }
+
+  /**
+   * Rebuild the trap data for a placed tile from edited builder data and
+   * write it back to the tile.
+   * @param {TileDocument} tileDoc The trap tile
+   * @param {Object} data Builder data
+   */
+  async updateTrapTile(tileDoc, data) {
+    const trapData = this.buildTrapData(data);
+    await this.writeTrapToTile(tileDoc, trapData);
+    ui.notifications.info(localize('Tiles.Updated', { name: trapData.name }));
+  }
+
+  /**
+   * Language in which trap narratives and hints are composed: the world's
+   * narrative language setting, or the creating GM's interface language.
+   * @returns {string} Language code, e.g. 'en' or 'de'
+   */
+  getNarrativeLanguage() {
+    return game.settings.get('trap-automator', 'narrativeLanguage') || game.i18n.lang || 'en';
+  }
+
+  /**
+   * Return a trap or cache definition with the texts of one language. A
+   * definition may carry per-language variants under `i18n.<lang>` with any
+   * of name, description and hints; whatever a variant leaves out falls
+   * back to the base (English) texts.
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {string} key Definition key
+   * @param {string} lang Language code; defaults to the narrative language
+   * @returns {Object|undefined} The localised definition
+   */
+  localizeDefinition(type, key, lang = this.getNarrativeLanguage()) {
+    const def = this.definitions[type]?.[key];
+    const variant = def?.i18n?.[lang];
+    if (!variant) return def;
+    return foundry.utils.mergeObject(foundry.utils.deepClone(def), variant, { inplace: false });
+  }
+
+  /**
+   * Display name of a definition in the interface language.
+   * @param {string} type Either 'trap' or 'cache'
+   * @param {string} key Definition key
+   * @returns {string}
+   */
+  getDefinitionName(type, key) {
+    const def = this.definitions[type]?.[key];
+    return def?.i18n?.[game.i18n.lang]?.name || def?.name || key;
+  }
+
+  /**
+   * Translate a trigger phrase. Translations live in the definitions under
+   * `languages.<lang>.triggers`, keyed by the English phrase, which remains
+   * the value stored on placed traps.
+   * @param {string} trigger English trigger phrase
+   * @param {string} lang Language code; defaults to the narrative language
+   * @returns {string}
+   */
+  localizeTrigger(trigger, lang = this.getNarrativeLanguage()) {
+    return this.definitions.languages?.[lang]?.triggers?.[trigger] || trigger;
+  }
+
+  /**
+   * Sentence parts used to compose narratives in a language. English is
+   * built in; other languages are read from `languages.<lang>.narrative`
+   * in the definitions, falling back to English for anything missing.
+   * Location phrases come from the location definitions: the phrase of
+   * their `i18n.<lang>` variant, then `languages.<lang>.locations`, then
+   * the location's own phrase.
+   * @param {string} lang Language code
+   * @returns {Object} { flavor, subject, sensoryVerbs, halfDamage, locations }
+   */
+  getNarrativeParts(lang) {
+    const english = {
+      flavor: '{subject} {trigger}{location}.',
+      subject: 'You',
+      sensoryVerbs: ['hear', 'feel', 'sense', 'see', 'notice', 'spot', 'detect', 'smell', 'taste', 'observe', 'perceive', 'catch'],
+      halfDamage: 'You take half damage.'
+    };
+    const language = this.definitions.languages?.[lang] || {};
+    const locations = {};
+    for (const [id, location] of Object.entries(this.definitions.locations || {})) {
+      locations[id] = location.i18n?.[lang]?.phrase ?? language.locations?.[id] ?? location.phrase ?? '';
+    }
+    return { ...english, ...(language.narrative || {}), locations };
+  }
+
+  /**
+   * Construct a serialisable object describing the trap or cache. For traps
+   * this includes the name, flavour text, save type, DC, damage and
+   * success/failure texts. For caches only the name and found text are
+   * included. The flavour text is normalised to a consistent pattern.
+   * Texts are composed in data.language, or the narrative language if it
+   * is not set. Any texts the GM edited in the builder preview
+   * (data.overrides) replace the composed ones.
+   * @param {Object} data Creation data; defaults to the current workflow
+   * @returns {Object} The trap data stored on the tile
+   */
+  buildTrapData(data = this.currentData) {
+    const type = data.type;
+    const key = data.key;
+    const language = data.language || this.getNarrativeLanguage();
+    const def = this.localizeDefinition(type, key, language);
+    const parts = this.getNarrativeParts(language);
+    const location = data.location;
+    const trigger = data.trigger || '';
+    // The definition key, category, location, trigger and language are
+    // recorded so placed traps can be listed and identified later.
+    const result = {
+      name: def.name || key,
+      type,
+      key,
+      category: def.category || null,
+      location,
+      trigger: trigger || null,
+      language
+    };
+    // Normalise flavour text using the definition's description template.
+    if (def.description && def.description.flavor) {
+      // Clean the base description by stripping placeholder markers and
+      // removing leading clauses that reference the trigger or location.
+      let descPart = this.cleanFlavorText(def.description.flavor);
+      // If the cleaned description begins with a sensory verb (e.g. "hear",
+      // "feel", "sense", etc.), prepend "You " so the sentence reads
+      // naturally. Without this, messages like "Hear a deafening rumble…"
+      // would lack a subject when appended after the trigger and location.
+      const firstWord = descPart.split(/\s+/)[0]?.toLowerCase() || '';
+      if (parts.sensoryVerbs.includes(firstWord)) {
+        descPart = `${parts.subject} ${descPart}`;
+      }
+      // Map location keys to phrases; a location may have none.
+      const locPhrase = parts.locations[location] || '';
+      let flavour;
+      if (trigger) {
+        // Compose the final narrative: You <trigger> <location phrase>. <clean description>
+        const prefix = parts.flavor
+          .replace('{subject}', parts.subject)
+          .replace('{trigger}', this.localizeTrigger(trigger, language))
+          .replace('{location}', locPhrase ? ' ' + locPhrase : '');
+        flavour = `${prefix} ${descPart}`.trim();
+      } else {
+        flavour = `${descPart}`.trim();
+      }
+      result.flavor = flavour;
+    } else {
+      result.flavor = '';
+    }
+    if (type === 'trap') {
+      result.saveType = (data.saveType || def.defaultSave || 'dex').toLowerCase();
+      // Record the actual DC used for rolls. Store it both as a hidden
+      // property (for modules that prefer to keep the DC secret) and on the
+      // top level so macros that display it (e.g. the provided macro) can
+      // access it. Previously the DC was omitted, causing "DC undefined"
+      // to appear in chat. Now we explicitly set it.
+      const actualDC = Number(data.dc) || 10;
+      result.hiddenDC = actualDC;
+      result.DC = actualDC;
+      const attack = data.attack === '' || data.attack === null ? NaN : Number(data.attack);
+      result.attackBonus = Number.isFinite(attack) ? attack : null;
+      result.damageFormula = data.damage || '';
+      result.halfDamageOnSuccess = !!data.half;
+      result.damageType = data.damageType || null;
+      // The severity and level the values were taken from, if any.
+      result.severity = data.severity || null;
+      result.level = data.severity ? (Number(data.level) || null) : null;
+      result.effect = data.effect || '';
+      const effectText = data.effect ? ' ' + data.effect : '';
+      result.failText = `${def.description.fail || ''}${effectText}`;
+      result.successText = `${def.description.success || ''}${data.half ? ' ' + parts.halfDamage : ''}`;
+    } else {
+      // Cache
+      result.saveType = null;
+      result.DC = null;
+      result.damageFormula = null;
+      result.halfDamageOnSuccess = false;
+      const desc = data.description || (def.description && def.description.found) || '';
+      result.foundText = desc;
+    }
+    const overrides = data.overrides || {};
+    for (const field of ['flavor', 'failText', 'successText', 'foundText']) {
+      if (typeof overrides[field] === 'string' && field in result) result[field] = overrides[field];
+    }
+    return result;
+  }
+
+  /**
+   * Return the configured hint difficulty tiers in layout order. Entries
+   * without an id are ignored; if none are left the default tiers are used.
+   * @returns {Array<Object>} Tiers { id, label, offset, dc, actor }
+   */
+  getHintTiers() {
+    const stored = game.settings.get('trap-automator', 'hintTiers');
+    const tiers = (Array.isArray(stored) ? stored : [])
+      .filter(tier => tier && typeof tier.id === 'string' && tier.id.trim())
+      .map(tier => ({ ...tier, id: tier.id.trim(), label: tier.label || tier.id.trim() }));
+    return tiers.length ? tiers : foundry.utils.deepClone(TrapAutomator.DEFAULT_HINT_TIERS);
+  }
+
+  /**
+   * Map the texts of a hint set onto the configured tiers. A tier uses the
+   * text under its own id; failing that it takes the text of the default
+   * tier in the same position, so the built-in definitions and sets
+   * written for the default "+2" to "+10" tiers keep working after the
+   * tiers are renamed, dropped or reordered. A default id that is itself a
+   * configured tier is never borrowed by another tier.
+   * @param {Object} set Hint texts keyed by tier id
+   * @returns {Object} Hint texts keyed by configured tier id; tiers without
+   *   a text get an empty string
+   */
+  resolveHintSet(set = {}) {
+    const ids = this.getHintTierIds();
+    const text = id => (typeof set[id] === 'string' ? set[id] : '');
+    const resolved = {};
+    ids.forEach((id, i) => {
+      const fallback = TrapAutomator.DEFAULT_HINT_TIERS[i]?.id;
+      resolved[id] = text(id) || (fallback && !ids.includes(fallback) ? text(fallback) : '');
+    });
+    return resolved;
+  }
+
+  /**
+   * Return the ids of the configured hint tiers.
+   * @returns {Array<string>}
+   */
+  getHintTierIds() {
+    return this.getHintTiers().map(tier => tier.id);
+  }
+
+  /**
+   * Perception DC of a hint tier: its absolute DC if set, otherwise 10 plus
+   * its offset. It becomes the Stealthy stealth value of the tier's tokens.
+   * @param {Object} tier Hint tier
+   * @returns {number}
+   */
+  getHintTierDC(tier) {
+    const dc = Number(tier.dc);
+    if (tier.dc !== null && tier.dc !== '' && Number.isFinite(dc)) return dc;
+    return 10 + (Number(tier.offset) || 0);
+  }
+
+  /**
+   * Find the actor whose prototype token a hint tier uses. The tier names
+   * the actor by name, id or UUID.
+   * @param {Object} tier Hint tier
+   * @returns {Actor|null}
+   */
+  getHintActor(tier) {
+    const ref = String(tier.actor || '').trim();
+    if (!ref) return null;
+    if (ref.startsWith('Actor.')) return fromUuidSync(ref) || null;
+    return game.actors.getName(ref) || game.actors.get(ref) || null;
+  }
+
+  /**
+   * Return the configured severity table, ordered by level. Rows without a
+   * valid level range are ignored; if none are left the default table is
+   * used.
+   * @returns {Array<Object>} Rows { minLevel, maxLevel, setback, dangerous,
+   *   deadly }, each severity { dc, attack, dice }
+   */
+  getSeverityTable() {
+    const stored = game.settings.get('trap-automator', 'severityTable');
+    const rows = (Array.isArray(stored) ? stored : [])
+      .filter(row => row && Number.isFinite(Number(row.minLevel)) && Number.isFinite(Number(row.maxLevel)))
+      .sort((a, b) => a.minLevel - b.minLevel);
+    return rows.length ? rows : foundry.utils.deepClone(TrapAutomator.DEFAULT_SEVERITY_TABLE);
+  }
+
+  /**
+   * Display label of a severity in the client's language.
+   * @param {string} severity One of TrapAutomator.SEVERITIES
+   * @returns {string}
+   */
+  getSeverityLabel(severity) {
+    return localize(`Severity.${severity}`);
+  }
+
+  /**
+   * Average level of the player characters: actors of type "character"
+   * owned by a player, rounded to the nearest level.
+   * @returns {number|null} The level, or null if there are no player
+   *   characters with a level
+   */
+  getPartyLevel() {
+    const levels = game.actors
+      .filter(actor => actor.type === 'character' && actor.hasPlayerOwner)
+      .map(actor => Number(actor.system?.details?.level))
+      .filter(level => Number.isFinite(level) && level > 0);
+    if (!levels.length) return null;
+    return Math.round(levels.reduce((sum, level) => sum + level, 0) / levels.length);
+  }
+
+  /**
+   * Row of the severity table covering a level. Levels outside the table
+   * use its first or last row.
+   * @param {number} level Character level
+   * @returns {Object} Severity table row
+   */
+  getSeverityRow(level) {
+    const table = this.getSeverityTable();
+    const row = table.find(r => level >= r.minLevel && level <= r.maxLevel);
+    if (row) return row;
+    return level < table[0].minLevel ? table[0] : table[table.length - 1];
+  }
+
+  /**
+   * Values for a trap of the given severity at a level, taken from the
+   * severity table. The damage is the table's number of dice multiplied by
+   * the definition's damageScale (at least one die), rolled with its
+   * damageDie (d10 if not set); the damage type is the definition's
+   * damageType.
+   * @param {string} key Trap definition key
+   * @param {string} severity One of TrapAutomator.SEVERITIES
+   * @param {number} [level] Character level; defaults to the party level,
+   *   or 1 without player characters
+   * @returns {Object} { dc, attack, damage, damageType, level }
+   */
+  getSeverityPreset(key, severity, level = null) {
+    level = Number(level) || this.getPartyLevel() || 1;
+    const values = this.getSeverityRow(level)[severity] || {};
+    const def = this.definitions.trap?.[key] || {};
+    const die = /^d\d+$/.test(def.damageDie || '') ? def.damageDie : 'd10';
+    const scale = Number(def.damageScale) > 0 ? Number(def.damageScale) : 1;
+    const dice = Number(values.dice) || 0;
+    return {
+      dc: Number(values.dc) || 10,
+      attack: Number(values.attack) || 0,
+      damage: dice ? `${Math.max(1, Math.round(dice * scale))}${die}` : '',
+      damageType: def.damageType || '',
+      level
+    };
+  }
+
+  /**
+   * Select one hint set for the chosen location and return its string for
+   * each configured difficulty tier, in the trap's language. A location
+   * without hints of its own uses the floor hints; tiers without a text
+   * get an empty string.
+   * @param {Object} trapData The trap data object
+   * @param {Object} data Creation data; defaults to the current workflow
+   * @returns {Object} Map of tier ids to hint strings
+   */
+  getHints(trapData, data = this.currentData) {
+    const type = trapData.type;
+    const key = data.key;
+    const def = this.localizeDefinition(type, key, data.language || trapData.language || this.getNarrativeLanguage());
+    const loc = data.location;
+    const diffs = this.getHintTierIds();
+    const hints = {};
+    // Hints are normalised to an array of sets per location; choose one set.
+    const locHints = this.getLocationHints(def, loc);
+    const set = locHints.length ? locHints[Math.floor(Math.random() * locHints.length)] : {};
+    for (const diff of diffs) {
+      hints[diff] = (set && set[diff]) || '';
+    }
+    return hints;
+  }
+
+  /**
+   * Spawn unlinked hint tokens around the given tile, one per configured
+   * tier that has a hint text. Each token is created from the tier's actor
+   * and records the tier and its perception DC; the DC is also written as
+   * the token's Stealthy stealth value, so a token only shows up for those
+   * who beat it. The tokens are spread evenly
+   * around the tile with a small padding, starting above it. If any actor
+   * is missing a warning is shown.
+   * @param {TileDocument} tileDoc The tile around which to spawn hints
+   * @param {Object} hintsByDiff Map of tier ids to hint strings
+   * @returns {Promise<Array<TokenDocument>>} The created tokens
+   */
+  async spawnHintsAroundTile(tileDoc, hintsByDiff) {
+    const scene = tileDoc.parent ?? canvas.scene;
+    const grid = scene.grid.size;
+    const tiers = this.getHintTiers();
+    const spots = this.getHintSpots(tileDoc, tiers.length);
+    const createData = [];
+    for (let i = 0; i < tiers.length; i++) {
+      const tier = tiers[i];
+      const diff = tier.id;
+      const hintText = hintsByDiff[diff];
+      if (!hintText) continue;
+      const actor = this.getHintActor(tier);
+      if (!actor) {
+        ui.notifications.warn(localize('Hints.NoActor', { name: tier.actor || tier.label }));
+        continue;
+      }
+      const proto = actor.prototypeToken?.toObject?.();
+      if (!proto) {
+        ui.notifications.warn(localize('Hints.NoPrototype', { name: actor.name }));
+        continue;
+      }
+      const tokenPixelW = (proto.width ?? 1) * grid;
+      const tokenPixelH = (proto.height ?? 1) * grid;
+      const spot = spots[i % spots.length];
+      const dc = this.getHintTierDC(tier);
+      // Unlinked, so tokens of different tiers sharing an actor keep their
+      // own stealth value.
+      const data = foundry.utils.mergeObject(proto, {
+        actorId: actor.id,
+        actorLink: false,
+        name: hintText,
+        displayName: CONST.TOKEN_DISPLAY_MODES.HOVER,
+        x: Math.round(spot.x - tokenPixelW / 2),
+        y: Math.round(spot.y - tokenPixelH / 2),
+        hidden: false,
+        flags: {
+          'trap-automator': { trapTileId: tileDoc.id, hintTier: diff, hintDC: dc, hintSpot: i },
+          stealthy: { stealth: dc }
+        }
+      }, { inplace: false, insertKeys: true, overwrite: true });
+      delete data.actorData;
+      delete data._id;
+      createData.push(data);
+    }
+    // Remember the tile geometry and number of spots the hints were laid
+    // out for so they can follow the tile when it is moved or resized.
+    await tileDoc.setFlag('trap-automator', 'hintAnchor', { ...this._tileRect(tileDoc), spots: spots.length });
+    if (!createData.length) return [];
+    return scene.createEmbeddedDocuments('Token', createData);
+  }
+
+  /**
+   * Compute where the hint tokens sit around a tile. The spots are spread
+   * at equal angles clockwise from the top and pushed out to the edge of
+   * the tile plus a small padding, so four tiers sit above, right, below
+   * and left of it. The index of each spot matches the tier order.
+   * @param {Object} rect Tile geometry { x, y, width, height } in pixels
+   * @param {number} [count] Number of spots; defaults to the tier count
+   * @returns {Array<Object>} Token centre points
+   */
+  getHintSpots(rect, count = this.getHintTiers().length) {
+    const pad = 40;
+    const cx = rect.x + rect.width / 2;
+    const cy = rect.y + rect.height / 2;
+    const halfW = rect.width / 2 + pad;
+    const halfH = rect.height / 2 + pad;
+    const spots = [];
+    for (let i = 0; i < count; i++) {
+      const angle = -Math.PI / 2 + (2 * Math.PI * i) / count;
+      const dx = Math.cos(angle);
+      const dy = Math.sin(angle);
+      // Distance along the ray to the padded rectangle's edge.
+      const scale = Math.min(
+        Math.abs(dx) > 1e-9 ? halfW / Math.abs(dx) : Infinity,
+        Math.abs(dy) > 1e-9 ? halfH / Math.abs(dy) : Infinity
+      );
+      spots.push({ x: cx + dx * scale, y: cy + dy * scale });
+    }
+    return spots;
+  }
+
+  /**
+   * Extract the geometry of a tile.
+   * @param {TileDocument} tileDoc The tile
+   * @returns {Object} { x, y, width, height }
+   */
+  _tileRect(tileDoc) {
+    return { x: tileDoc.x, y: tileDoc.y, width: tileDoc.width, height: tileDoc.height };
+  }
+
+  /**
+   * Find the hint tokens spawned for a trap tile.
+   * @param {TileDocument} tileDoc The trap tile
+   * @returns {Array<TokenDocument>} Linked hint tokens on the tile's scene
+   */
+  getHintTokens(tileDoc) {
+    const scene = tileDoc.parent;
+    if (!scene) return [];
+    return scene.tokens.filter(t => t.getFlag('trap-automator', 'trapTileId') === tileDoc.id);
+  }
+
+  /**
+   * When a trap tile is deleted, offer to delete its hint tokens too. The
+   * deletion options may decide up front via `trapAutomatorHints`: 'delete'
+   * removes them without asking and 'keep' leaves them in place.
+   * @param {TileDocument} tileDoc The deleted tile
+   * @param {Object} options Deletion options
+   * @param {string} userId The user who deleted the tile
+   */
+  async onDeleteTile(tileDoc, options, userId) {
+    if (userId !== game.user.id) return;
+    if (options.trapAutomatorHints === 'keep') return;
+    const scene = tileDoc.parent;
+    const ids = this.getHintTokens(tileDoc).map(t => t.id);
+    if (!ids.length) return;
+    if (options.trapAutomatorHints === 'delete') {
+      await scene.deleteEmbeddedDocuments('Token', ids);
+      return;
+    }
+    const name = tileDoc.getFlag('trap-automator', 'trapData')?.name || localize('Hints.DeletedTrap');
+    new Dialog({
+      title: localize('Hints.DeleteTitle'),
+      content: `<p>${localize('Hints.DeletePrompt', { count: ids.length, name: Handlebars.escapeExpression(name) })}</p>`,
+      buttons: {
+        yes: {
+          label: localize('Common.Delete'),
+          callback: () => scene.deleteEmbeddedDocuments('Token', ids.filter(id => scene.tokens.has(id)))
+        },
+        no: { label: localize('Hints.Keep') }
+      },
+      default: 'yes'
+    }).render(true);
+  }
+
+  /**
+   * Move a trap's hint tokens along with its tile. Each token is shifted by
+   * the distance its layout spot moved, so tokens the GM nudged by hand keep
+   * their offset and resizing spreads the hints around the new footprint.
+   * @param {TileDocument} tileDoc The updated tile
+   * @param {Object} changes The changed data
+   * @param {Object} options Update options
+   * @param {string} userId The user who updated the tile
+   */
+  async onUpdateTile(tileDoc, changes, options, userId) {
+    if (userId !== game.user.id) return;
+    if (!['x', 'y', 'width', 'height'].some(k => k in changes)) return;
+    const from = tileDoc.getFlag('trap-automator', 'hintAnchor');
+    if (!from) return;
+    // Hints placed before tiers were configurable have four spots and no
+    // recorded spot index.
+    const count = from.spots || TrapAutomator.DEFAULT_HINT_TIERS.length;
+    const to = { ...this._tileRect(tileDoc), spots: count };
+    const oldSpots = this.getHintSpots(from, count);
+    const newSpots = this.getHintSpots(to, count);
+    const legacy = TrapAutomator.DEFAULT_HINT_TIERS.map(tier => tier.id);
+    const updates = [];
+    for (const token of this.getHintTokens(tileDoc)) {
+      const i = token.getFlag('trap-automator', 'hintSpot') ?? legacy.indexOf(token.getFlag('trap-automator', 'hintTier'));
+      if (!(i >= 0 && i < count)) continue;
+      const dx = newSpots[i].x - oldSpots[i].x;
+      const dy = newSpots[i].y - oldSpots[i].y;
+      if (!dx && !dy) continue;
+      updates.push({ _id: token.id, x: Math.round(token.x + dx), y: Math.round(token.y + dy) });
+    }
+    await tileDoc.setFlag('trap-automator', 'hintAnchor', to);
+    if (updates.length) await tileDoc.parent.updateEmbeddedDocuments('Token', updates);
+  }
+}
+
+/**
+ * Single-window builder for traps and caches. Category, sub-category, type,
+ * location, trigger and the trap details all live on one form. Changing any
+ * field re-renders the form so dependent choices (sub-categories, trap
+ * types, triggers and default save/DC) stay in sync. Submitting hands the
+ * collected data to the TrapAutomator and starts tile placement.
+ */
+class TrapBuilderApp extends foundry.applications.api.ApplicationV2 {
+  /**
+   * @param {TrapAutomator} automator The module controller
+   * @param {Object} data Initial form state (at least { type })
+   * @param {Object} options Application options
+   */
+  constructor(automator, data = {}, options = {}) {
+    super(options);
+    this.automator = automator;
+    // When editing a placed trap the builder saves back to this tile
+    // instead of starting a new placement.
+    this.tileDoc = options.tileDoc || null;
+    this.data = {
+      type: 'trap',
+      placementMode: game.settings.get('trap-automator', 'placementMode'),
+      tileWidth: game.settings.get('trap-automator', 'tileSize'),
+      tileHeight: game.settings.get('trap-automator', 'tileSize'),
+      tileTexture: game.settings.get('trap-automator', 'tileTexture'),
+      ...data
+    };
+  }
+
+  static DEFAULT_OPTIONS = {
+    tag: 'form',
+    classes: ['trap-automator', 'trap-automator-builder'],
+    window: {
+      title: 'TRAP_AUTOMATOR.Menu.Title',
+      resizable: true
+    },
+    position: {
+      width: 480,
+      height: 'auto'
+    },
+    form: {
+      handler: TrapBuilderApp._onSubmitForm,
+      submitOnChange: false,
+      closeOnSubmit: false
+    },
+    actions: {
+      rerollHints: TrapBuilderApp._onRerollHints,
+      toggleEdit: TrapBuilderApp._onToggleEdit,
+      discardEdits: TrapBuilderApp._onDiscardEdits,
+      randomize: TrapBuilderApp._onRandomize,
+      surprise: TrapBuilderApp._onSurprise
+    }
+  };
+
+  /** @override */
+  get title() {
+    return this.tileDoc ? localize('Tiles.Configure') : super.title;
+  }
+
+  /**
+   * Resolve the current selections against the loaded definitions. Any
+   * selection that is no longer valid (for example a trap type after the
+   * category changed) falls back to the first available choice. When the
+   * selected trap changes its default save, DC and damage type are applied;
+   * when a severity is chosen its DC, attack bonus and damage are applied
+   * whenever the trap, severity or level changes. The preview
+   * is composed with buildTrapData so it matches what placement stores;
+   * hints are only re-picked when the definition or location changes, and
+   * edited texts are dropped when the trap, location or trigger changes.
+   * @returns {Object} Render context
+   */
+  async _prepareContext(options) {
+    const ta = this.automator;
+    const d = this.data;
+    const context = { type: d.type };
+    if (d.type === 'trap') {
+      const mapping = ta.getTrapCategoryMap();
+      context.categories = ta.getAvailableTrapCategories(mapping);
+      if (!context.categories.includes(d.category)) d.category = context.categories[0] || '';
+      const subMap = mapping[d.category] || {};
+      context.subCategories = Object.keys(subMap).filter(k => k !== '_' && subMap[k].length);
+      if (!context.subCategories.length) d.subCategory = '';
+      else if (!context.subCategories.includes(d.subCategory)) d.subCategory = context.subCategories[0];
+      context.entries = ta.getTrapsForCategory(mapping, d.category, d.subCategory || null);
+    } else {
+      context.entries = Object.entries(ta.definitions.cache || {})
+        .filter(([key]) => ta.isDefinitionOffered('cache', key))
+        .map(([key]) => ({ key, name: ta.getDefinitionName('cache', key) }));
+    }
+    if (!context.entries.some(e => e.key === d.key)) d.key = context.entries[0]?.key || '';
+    context.locations = ta.getLocations(d.type, d.key);
+    if (!context.locations.includes(d.location)) d.location = context.locations[0];
+    const def = d.key ? ta.definitions[d.type]?.[d.key] : null;
+    context.def = def;
+    if (d.type === 'trap' && def) {
+      if (d.defaultsFor !== d.key) {
+        d.saveType = (def.defaultSave || 'dex').toLowerCase();
+        d.dc = def.defaultDC || 10;
+        d.damageType = def.damageType || '';
+        d.defaultsFor = d.key;
+      }
+      context.partyLevel = ta.getPartyLevel();
+      context.levelRows = ta.getSeverityTable();
+      if (!d.level) d.level = 'party';
+      if (!TrapAutomator.SEVERITIES.includes(d.severity)) d.severity = '';
+      const presetFor = d.severity ? [d.key, d.severity, d.level].join('|') : null;
+      if (presetFor && d.presetFor !== presetFor) {
+        const preset = ta.getSeverityPreset(d.key, d.severity, d.level === 'party' ? null : d.level);
+        Object.assign(d, { dc: preset.dc, attack: preset.attack, damage: preset.damage });
+        if (preset.damageType) d.damageType = preset.damageType;
+      }
+      d.presetFor = presetFor;
+      context.triggers = ta.getTriggersForTrap(d.key);
+      if (!context.triggers.includes(d.trigger)) d.trigger = context.triggers[0] || '';
+    }
+    if (def && (d.type === 'cache' || d.trigger)) {
+      const previewFor = [d.type, d.key, d.location, d.trigger].join('|');
+      if (d.previewFor !== previewFor) {
+        d.overrides = null;
+        d.previewFor = previewFor;
+      }
+      const hintsFor = [d.type, d.key, d.location].join('|');
+      if (!d.hints || d.hintsFor !== hintsFor) {
+        d.hints = ta.getHints({ type: d.type }, d);
+        d.hintsFor = hintsFor;
+      }
+      context.preview = ta.buildTrapData(d);
+      // The texts as shown, so reading the form can tell which were edited.
+      this.shownTexts = context.preview;
+    }
+    context.data = d;
+    return context;
+  }
+
+  /**
+   * Render the form as an HTML string.
+   * @param {Object} context Result of _prepareContext
+   * @returns {string} Form markup
+   */
+  async _renderHTML(context, options) {
+    const d = context.data;
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const cap = s => s.charAt(0).toUpperCase() + s.slice(1);
+    const opts = (list, selected, label = cap) => list
+      .map(v => `<option value="${esc(v)}"${v === selected ? ' selected' : ''}>${esc(label(v))}</option>`)
+      .join('');
+    const typeOptions = opts(['trap', 'cache'], d.type, t => localize(`Types.${cap(t)}`));
+    const dice = field => `<button type="button" class="ta-random" data-action="randomize" data-field="${field}" data-tooltip="${localize('Random.Roll')}"><i class="fa-solid fa-dice"></i></button>`;
+    const entryOptions = context.entries
+      .map(({ key, name }) => `<option value="${esc(key)}"${key === d.key ? ' selected' : ''}>${esc(name)}</option>`)
+      .join('');
+    let html = this.tileDoc ? '' : `<div class="form-group">
+        <label for="ta-b-type">${localize('Builder.Create')}</label>
+        <select id="ta-b-type" name="type">${typeOptions}</select>
+      </div>`;
+    if (d.type === 'trap') {
+      html += `<div class="form-group">
+          <label for="ta-b-category">${localize('Fields.Category')}</label>
+          <div class="form-fields">
+            <select id="ta-b-category" name="category">${opts(context.categories, d.category)}</select>
+            ${dice('category')}
+          </div>
+        </div>`;
+      if (context.subCategories.length) {
+        html += `<div class="form-group">
+            <label for="ta-b-subcat">${localize('Fields.Subcategory')}</label>
+            <div class="form-fields">
+              <select id="ta-b-subcat" name="subCategory">${opts(context.subCategories, d.subCategory)}</select>
+              ${dice('subCategory')}
+            </div>
+          </div>`;
+      }
+    }
+    html += `<div class="form-group">
+        <label for="ta-b-key">${localize(d.type === 'trap' ? 'Builder.TrapType' : 'Builder.CacheType')}</label>
+        <div class="form-fields">
+          <select id="ta-b-key" name="key">${entryOptions}</select>
+          ${dice('key')}
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="ta-b-location">${localize('Fields.Location')}</label>
+        <div class="form-fields">
+          <select id="ta-b-location" name="location">${opts(context.locations, d.location, l => this.automator.getLocationLabel(l))}</select>
+          ${dice('location')}
+        </div>
+      </div>`;
+    if (d.type === 'trap') {
+      const saveTypes = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+      const triggerHtml = context.triggers?.length
+        ? `<div class="form-fields">
+            <select id="ta-b-trigger" name="trigger">${opts(context.triggers, d.trigger, t => cap(this.automator.localizeTrigger(t, d.language)))}</select>
+            ${dice('trigger')}
+          </div>`
+        : `<p class="notes">${localize('Builder.NoTriggers')}</p>`;
+      const severityOptions = opts(['', ...TrapAutomator.SEVERITIES], d.severity,
+        v => (v ? this.automator.getSeverityLabel(v) : localize('Severity.Custom')));
+      const partyLabel = context.partyLevel
+        ? localize('Severity.PartyLevel', { level: context.partyLevel })
+        : localize('Severity.NoParty');
+      const levelOptions = opts(['party', ...context.levelRows.map(row => String(row.minLevel))], d.level,
+        v => (v === 'party' ? partyLabel : localize('Severity.Levels', {
+          min: v,
+          max: context.levelRows.find(row => String(row.minLevel) === v).maxLevel
+        })));
+      html += `<div class="form-group">
+          <label for="ta-b-trigger">${localize('Fields.Trigger')}</label>
+          ${triggerHtml}
+        </div>
+        <div class="form-group">
+          <label for="ta-b-severity">${localize('Severity.Label')}</label>
+          <select id="ta-b-severity" name="severity">${severityOptions}</select>
+          ${d.severity ? `<select id="ta-b-level" name="level">${levelOptions}</select>` : ''}
+        </div>
+        <div class="form-group">
+          <label for="ta-b-dc">${localize('Builder.DC')}</label>
+          <input id="ta-b-dc" name="dc" type="number" min="1" max="30" value="${esc(d.dc)}" />
+        </div>
+        <div class="form-group">
+          <label for="ta-b-attack">${localize('Builder.AttackBonus')}</label>
+          <input id="ta-b-attack" name="attack" type="number" step="1" value="${esc(d.attack)}" />
+        </div>
+        <div class="form-group">
+          <label for="ta-b-save">${localize('Builder.SaveAbility')}</label>
+          <select id="ta-b-save" name="saveType">${opts(saveTypes, d.saveType, s => s.toUpperCase())}</select>
+        </div>
+        <div class="form-group">
+          <label for="ta-b-damage">${localize('Builder.DamageFormula')}</label>
+          <input id="ta-b-damage" name="damage" type="text" placeholder="${localize('Builder.DamagePlaceholder')}" value="${esc(d.damage)}" />
+        </div>
+        <div class="form-group">
+          <label for="ta-b-damage-type">${localize('Builder.DamageType')}</label>
+          <input id="ta-b-damage-type" name="damageType" type="text" placeholder="${localize('Builder.DamageTypePlaceholder')}" value="${esc(d.damageType)}" />
+        </div>
+        <div class="form-group">
+          <label><input name="half" type="checkbox"${d.half ? ' checked' : ''} /> ${localize('Builder.HalfDamage')}</label>
+        </div>
+        <div class="form-group">
+          <label for="ta-b-effect">${localize('Builder.Effect')}</label>
+          <input id="ta-b-effect" name="effect" type="text" value="${esc(d.effect)}" />
+        </div>`;
+    } else {
+      const placeholder = context.def?.description?.found || '';
+      html += `<div class="form-group stacked">
+          <label for="ta-b-desc">${localize('Builder.CacheContents')}</label>
+          <textarea id="ta-b-desc" name="description" rows="3" placeholder="${esc(placeholder)}">${esc(d.description)}</textarea>
+        </div>`;
+    }
+    if (context.preview) html += this._renderPreview(context, esc);
+    if (this.tileDoc) {
+      html += `<footer class="form-footer">
+          <button type="submit"><i class="fa-solid fa-save"></i> ${localize('Builder.SaveChanges')}</button>
+          <button type="button" data-action="close"><i class="fa-solid fa-xmark"></i> ${localize('Common.Cancel')}</button>
+        </footer>`;
+      return html;
+    }
+    const modeOptions = opts(['click', 'draw'], d.placementMode, m => localize(m === 'click' ? 'Builder.ModeClick' : 'Builder.ModeDraw'));
+    html += `<fieldset class="ta-placement">
+        <legend>${localize('Builder.Placement')}</legend>
+        <div class="form-group">
+          <label for="ta-b-mode">${localize('Builder.Mode')}</label>
+          <select id="ta-b-mode" name="placementMode">${modeOptions}</select>
+        </div>`;
+    if (d.placementMode !== 'draw') {
+      html += `<div class="form-group">
+          <label>${localize('Builder.Size')}</label>
+          <div class="form-fields">
+            <input name="tileWidth" type="number" min="1" max="${TrapAutomator.MAX_TILE_SIZE}" step="1" value="${esc(d.tileWidth)}" />
+            <span>×</span>
+            <input name="tileHeight" type="number" min="1" max="${TrapAutomator.MAX_TILE_SIZE}" step="1" value="${esc(d.tileHeight)}" />
+          </div>
+        </div>
+        <div class="form-group">
+          <label>${localize('Builder.Texture')}</label>
+          <file-picker name="tileTexture" type="image" value="${esc(d.tileTexture)}"></file-picker>
+        </div>`;
+    }
+    html += '</fieldset>';
+    html += `<footer class="form-footer">
+        <button type="submit"><i class="fa-solid fa-check"></i> ${localize(d.type === 'trap' ? 'Builder.PlaceTrap' : 'Builder.PlaceCache')}</button>
+        <button type="button" data-action="surprise"><i class="fa-solid fa-dice"></i> ${localize('Random.Title')}</button>
+        <button type="button" data-action="close"><i class="fa-solid fa-xmark"></i> ${localize('Common.Cancel')}</button>
+      </footer>`;
+    return html;
+  }
+
+  /**
+   * Render the preview pane showing the composed narrative texts and the
+   * chosen hint set. In edit mode the texts and hints become inputs whose
+   * values are stored as overrides for placement.
+   * @param {Object} context Render context
+   * @param {Function} esc HTML escaping helper
+   * @returns {string} Preview markup
+   */
+  _renderPreview(context, esc) {
+    const d = context.data;
+    const preview = context.preview;
+    const fields = d.type === 'trap'
+      ? [['flavor', localize('Preview.Flavor')], ['failText', localize('Preview.Fail')], ['successText', localize('Preview.Success')]]
+      : [['foundText', localize('Preview.Found')]];
+    const tiers = this.automator.getHintTiers();
+    let texts = '';
+    let hints = '';
+    // Hints of a placed trap live on its tokens and are not edited here.
+    const showHints = !this.tileDoc;
+    if (d.editing) {
+      texts = fields.map(([field, label]) => `<div class="form-group stacked">
+          <label>${label}:</label>
+          <textarea name="overrides.${field}" rows="2">${esc(preview[field])}</textarea>
+        </div>`).join('');
+      hints = tiers.map(tier => `<div class="form-group">
+          <label>${esc(tier.label)}:</label>
+          <input type="text" name="hints.${esc(tier.id)}" value="${esc(d.hints[tier.id])}" />
+        </div>`).join('');
+    } else {
+      texts = fields.map(([field, label]) => `<p><strong>${label}:</strong> ${esc(preview[field]) || `<em>${localize('Preview.Empty')}</em>`}</p>`).join('');
+      const raw = context.def?.description?.flavor;
+      if (d.type === 'trap' && raw) texts += `<p class="notes">${localize('Preview.Source', { text: esc(raw) })}</p>`;
+      hints = `<ul>${tiers.map(tier => `<li><strong>${esc(tier.label)}:</strong> ${esc(d.hints[tier.id]) || `<em>${localize('Preview.NoHint')}</em>`}</li>`).join('')}</ul>`;
+    }
+    return `<fieldset class="ta-preview">
+        <legend>${localize('Preview.Title')}</legend>
+        ${texts}
+        ${showHints ? `<h4>${localize('Preview.Hints')}</h4>${hints}` : ''}
+        <div class="flexrow">
+          ${showHints ? `<button type="button" data-action="rerollHints"><i class="fa-solid fa-dice"></i> ${localize('Tiles.RerollHints')}</button>` : ''}
+          <button type="button" data-action="toggleEdit"><i class="fa-solid fa-pen"></i> ${localize(d.editing ? 'Preview.DoneEditing' : 'Preview.Edit')}</button>
+          ${d.overrides ? `<button type="button" data-action="discardEdits"><i class="fa-solid fa-rotate-left"></i> ${localize('Preview.Discard')}</button>` : ''}
+        </div>
+      </fieldset>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content, options) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Copy the form values into the builder state and re-render so dependent
+   * fields follow the new selection.
+   */
+  _onChangeForm(formConfig, event) {
+    super._onChangeForm(formConfig, event);
+    this._readForm();
+    this.render();
+  }
+
+  /**
+   * Read the current form values into this.data.
+   */
+  _readForm() {
+    this._mergeValues(new foundry.applications.ux.FormDataExtended(this.element).object);
+  }
+
+  /**
+   * Merge submitted form values into this.data. Of the narrative texts
+   * only those the GM changed from the shown text, or edited before, are
+   * kept as overrides, so the others still follow later changes to the
+   * DC, damage or effect.
+   * @param {Object} values Flat form values
+   */
+  _mergeValues(values) {
+    const prior = this.data.overrides;
+    const { overrides, ...rest } = foundry.utils.expandObject(values);
+    Object.assign(this.data, rest);
+    if (!overrides) return;
+    const edited = Object.entries(overrides)
+      .filter(([field, text]) => prior?.[field] !== undefined || text !== this.shownTexts?.[field]);
+    this.data.overrides = edited.length ? Object.fromEntries(edited) : null;
+  }
+
+  /**
+   * Pick a new hint set for the current definition and location.
+   */
+  static _onRerollHints(event, target) {
+    this._readForm();
+    this.data.hints = null;
+    this.render();
+  }
+
+  /**
+   * Roll a random value for one selection. Every selection below it is
+   * rolled too, so a new category also gets a random trap, location and
+   * trigger; trap and cache types are picked by their weight.
+   */
+  static async _onRandomize(event, target) {
+    this._readForm();
+    const ta = this.automator;
+    const d = this.data;
+    const any = list => (list?.length ? list[Math.floor(Math.random() * list.length)] : undefined);
+    const levels = ['category', 'subCategory', 'key', 'location', 'trigger'];
+    for (const field of levels.slice(levels.indexOf(target.dataset.field))) {
+      const context = await this._prepareContext({});
+      let value;
+      if (field === 'category') value = any(context.categories);
+      else if (field === 'subCategory') value = any(context.subCategories);
+      else if (field === 'key') value = ta.pickWeighted(context.entries.map(e => [e.key, ta.getDefinitionWeight(d.type, e.key)]));
+      else if (field === 'location') value = any(context.locations);
+      else if (field === 'trigger') value = any(context.triggers);
+      if (value !== undefined) d[field] = value;
+    }
+    this.render();
+  }
+
+  /**
+   * Close the builder and place a random trap or cache of the selected
+   * type, keeping the chosen severity if there is one.
+   */
+  static _onSurprise(event, target) {
+    this._readForm();
+    const { type, severity } = this.data;
+    this.close();
+    this.automator.surpriseMe({ type, severity: type === 'trap' && severity ? severity : null });
+  }
+
+  /**
+   * Switch the preview between read-only and editable.
+   */
+  static _onToggleEdit(event, target) {
+    this._readForm();
+    this.data.editing = !this.data.editing;
+    this.render();
+  }
+
+  /**
+   * Drop any edited narrative texts and return to the composed ones.
+   */
+  static _onDiscardEdits(event, target) {
+    this._readForm();
+    this.data.overrides = null;
+    this.data.editing = false;
+    this.render();
+  }
+
+  /**
+   * Validate the collected state, store it as the automator's current data
+   * and ask the GM to place the tile.
+   */
+  static async _onSubmitForm(event, form, formData) {
+    this._mergeValues(formData.object);
+    const d = this.data;
+    if (!d.key) {
+      ui.notifications.warn(localize(d.type === 'trap' ? 'Builder.SelectTrap' : 'Builder.SelectCache'));
+      return;
+    }
+    if (d.type === 'trap' && !d.trigger) {
+      ui.notifications.error(localize('Builder.TriggersRequired'));
+      return;
+    }
+    // A trap being edited keeps the language it was placed in; new ones use
+    // the narrative language.
+    const current = { type: d.type, key: d.key, location: d.location, language: d.language, hints: d.hints, overrides: d.overrides };
+    if (d.type === 'trap') {
+      const level = d.level === 'party' ? (this.automator.getPartyLevel() || 1) : Number(d.level);
+      Object.assign(current, {
+        trigger: d.trigger,
+        severity: d.severity || '',
+        level: d.severity ? level : null,
+        dc: Number(d.dc) || 10,
+        attack: d.attack,
+        saveType: d.saveType,
+        damage: String(d.damage || '').trim(),
+        damageType: String(d.damageType || '').trim(),
+        half: !!d.half,
+        effect: String(d.effect || '').trim()
+      });
+    } else {
+      current.description = String(d.description || '').trim();
+    }
+    if (this.tileDoc) {
+      await this.close();
+      await this.automator.updateTrapTile(this.tileDoc, current);
+      return;
+    }
+    this.automator.currentData = current;
+    await this.close();
+    this.automator.beginPlacement({
+      label: this.automator.getDefinitionName(d.type, d.key) || localize(`Types.${d.type}`),
+      mode: d.placementMode,
+      width: Math.min(TrapAutomator.MAX_TILE_SIZE, Number(d.tileWidth) || 1),
+      height: Math.min(TrapAutomator.MAX_TILE_SIZE, Number(d.tileHeight) || 1),
+      texture: d.tileTexture || ''
+    });
+  }
+}
+
+/**
+ * Window listing every trap and cache tile on the viewed scene with its key
+ * details and buttons to pan to, select, edit, arm/disarm or delete it. The
+ * list refreshes itself while open whenever tiles or tokens on the scene
+ * change.
+ */
+class TrapManagerApp extends foundry.applications.api.ApplicationV2 {
+  /**
+   * @param {TrapAutomator} automator The module controller
+   * @param {Object} options Application options
+   */
+  constructor(automator, options = {}) {
+    super(options);
+    this.automator = automator;
+    this._hookIds = [];
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'trap-automator-manager',
+    classes: ['trap-automator', 'trap-automator-manager'],
+    window: {
+      title: 'TRAP_AUTOMATOR.Manager.Title',
+      resizable: true
+    },
+    position: {
+      width: 860,
+      height: 500
+    },
+    actions: {
+      pan: TrapManagerApp._onPan,
+      select: TrapManagerApp._onSelect,
+      edit: TrapManagerApp._onEdit,
+      reroll: TrapManagerApp._onReroll,
+      duplicate: TrapManagerApp._onDuplicate,
+      toggle: TrapManagerApp._onToggle,
+      delete: TrapManagerApp._onDelete
+    }
+  };
+
+  /**
+   * Build one row per trap or cache tile on the viewed scene.
+   * @returns {Object} Render context
+   */
+  async _prepareContext(options) {
+    const scene = canvas.scene;
+    const rows = this.automator.getSceneTraps(scene).map(tileDoc => {
+      const data = tileDoc.getFlag('trap-automator', 'trapData') || {};
+      const hints = this.automator.getHintTokens(tileDoc);
+      const armed = tileDoc.getFlag('monks-active-tiles', 'active') !== false;
+      const damage = [data.damageFormula, data.damageType].filter(v => v).join(' ');
+      return {
+        id: tileDoc.id,
+        name: data.name || '',
+        type: data.type ? localize(`Types.${data.type === 'trap' ? 'Trap' : 'Cache'}`) : '',
+        dc: data.DC ?? '',
+        save: data.saveType ? data.saveType.toUpperCase() : '',
+        damage,
+        location: data.location ? this.automator.getLocationLabel(data.location) : '',
+        trigger: data.trigger || '',
+        armed,
+        hints: hints.map(t => t.name)
+      };
+    });
+    rows.sort((a, b) => a.name.localeCompare(b.name));
+    return { sceneName: scene?.name || '', rows };
+  }
+
+  /**
+   * Render the trap list as an HTML table.
+   * @param {Object} context Result of _prepareContext
+   * @returns {string} Markup
+   */
+  async _renderHTML(context, options) {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    if (!context.rows.length) {
+      return `<p>${localize('Manager.Empty', { scene: esc(context.sceneName) || localize('Manager.ThisScene') })}</p>`;
+    }
+    const body = context.rows.map(r => `<tr data-tile-id="${r.id}">
+        <td>${esc(r.name)}</td>
+        <td>${esc(r.type)}</td>
+        <td>${esc(r.dc)}</td>
+        <td>${esc(r.save)}</td>
+        <td>${esc(r.damage)}</td>
+        <td>${esc(r.location)}</td>
+        <td>${esc(r.trigger)}</td>
+        <td>${localize(r.armed ? 'Manager.Armed' : 'Manager.Disabled')}</td>
+        <td title="${esc(r.hints.join('\n'))}">${r.hints.length}</td>
+        <td class="ta-manager-controls" style="white-space:nowrap;">
+          <a data-action="pan" data-tooltip="${localize('Manager.Pan')}"><i class="fa-solid fa-location-crosshairs"></i></a>
+          <a data-action="select" data-tooltip="${localize('Manager.Select')}"><i class="fa-solid fa-expand"></i></a>
+          <a data-action="edit" data-tooltip="${localize('Manager.Edit')}"><i class="fa-solid fa-pen-to-square"></i></a>
+          <a data-action="reroll" data-tooltip="${localize('Duplicate.Reroll')}"><i class="fa-solid fa-dice"></i></a>
+          <a data-action="duplicate" data-tooltip="${localize('Manager.Duplicate')}"><i class="fa-solid fa-clone"></i></a>
+          <a data-action="toggle" data-tooltip="${localize(r.armed ? 'Manager.Disable' : 'Manager.Arm')}"><i class="fa-solid ${r.armed ? 'fa-toggle-on' : 'fa-toggle-off'}"></i></a>
+          <a data-action="delete" data-tooltip="${localize('Common.Delete')}"><i class="fa-solid fa-trash"></i></a>
+        </td>
+      </tr>`).join('');
+    return `<table class="ta-manager-table">
+        <thead>
+          <tr>
+            <th>${localize('Manager.Name')}</th><th>${localize('Manager.Type')}</th><th>${localize('Manager.DC')}</th>
+            <th>${localize('Manager.Save')}</th><th>${localize('Manager.Damage')}</th><th>${localize('Manager.Location')}</th>
+            <th>${localize('Manager.Trigger')}</th><th>${localize('Manager.State')}</th><th>${localize('Preview.Hints')}</th><th></th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content, options) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Refresh the list whenever tiles or tokens on the viewed scene change, or
+   * the viewed scene itself changes.
+   */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    const refresh = doc => {
+      if (!doc || doc.parent === canvas.scene) this.render();
+    };
+    for (const hook of ['createTile', 'updateTile', 'deleteTile', 'createToken', 'updateToken', 'deleteToken']) {
+      this._hookIds.push([hook, Hooks.on(hook, refresh)]);
+    }
+    this._hookIds.push(['canvasReady', Hooks.on('canvasReady', () => this.render())]);
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    for (const [hook, id] of this._hookIds) Hooks.off(hook, id);
+    this._hookIds = [];
+  }
+
+  /**
+   * Resolve the tile document for the row containing the clicked control.
+   * @param {HTMLElement} target The clicked element
+   * @returns {TileDocument|undefined}
+   */
+  _getTile(target) {
+    const id = target.closest('[data-tile-id]')?.dataset.tileId;
+    return canvas.scene?.tiles.get(id);
+  }
+
+  /**
+   * Centre the canvas on the trap's tile.
+   */
+  static async _onPan(event, target) {
+    const tileDoc = this._getTile(target);
+    if (!tileDoc) return;
+    await canvas.animatePan({ x: tileDoc.x + tileDoc.width / 2, y: tileDoc.y + tileDoc.height / 2 });
+  }
+
+  /**
+   * Switch to the tiles layer and select the trap's tile.
+   */
+  static _onSelect(event, target) {
+    const tileDoc = this._getTile(target);
+    if (!tileDoc) return;
+    canvas.tiles.activate();
+    tileDoc.object?.control({ releaseOthers: true });
+  }
+
+  /**
+   * Open the trap in the builder for editing.
+   */
+  static _onEdit(event, target) {
+    const tileDoc = this._getTile(target);
+    if (!tileDoc) return;
+    this.automator.openTileEditor(tileDoc);
+  }
+
+  /**
+   * Pick a new hint set for the trap.
+   */
+  static async _onReroll(event, target) {
+    const tileDoc = this._getTile(target);
+    if (!tileDoc) return;
+    await this.automator.rerollTileHints(tileDoc);
+  }
+
+  /**
+   * Place a copy of the trap.
+   */
+  static _onDuplicate(event, target) {
+    const tileDoc = this._getTile(target);
+    if (!tileDoc) return;
+    this.automator.duplicateTrap(tileDoc);
+  }
+
+  /**
+   * Arm or disable the trap by toggling its Monk's Active Tiles trigger.
+   */
+  static async _onToggle(event, target) {
+    const tileDoc = this._getTile(target);
+    if (!tileDoc) return;
+    const armed = tileDoc.getFlag('monks-active-tiles', 'active') !== false;
+    await tileDoc.setFlag('monks-active-tiles', 'active', !armed);
+  }
+
+  /**
+   * Delete the trap's tile after confirmation, optionally with its hints.
+   */
+  static _onDelete(event, target) {
+    const tileDoc = this._getTile(target);
+    if (!tileDoc) return;
+    const name = tileDoc.getFlag('trap-automator', 'trapData')?.name || localize('Manager.ThisTrap');
+    const hintCount = this.automator.getHintTokens(tileDoc).length;
+    const hintOption = hintCount
+      ? `<div class="form-group"><label><input type="checkbox" name="ta-delete-hints" checked /> ${localize('Manager.DeleteHints', { count: hintCount })}</label></div>`
+      : '';
+    new Dialog({
+      title: localize('Common.ConfirmDeletion'),
+      content: `<p>${localize('Manager.DeleteConfirm', { name: Handlebars.escapeExpression(name) })}</p>${hintOption}`,
+      buttons: {
+        yes: {
+          label: localize('Common.Delete'),
+          callback: html => {
+            const withHints = html.find('[name="ta-delete-hints"]').is(':checked');
+            return tileDoc.delete({ trapAutomatorHints: withHints ? 'delete' : 'keep' });
           }
-        }
-      });
-    } catch (err) {
-      console.error('Trap Automator: Failed to update tile flags', err);
-      ui.notifications.error('Trap Automator: Failed to create macro trigger. See console for details.');
+        },
+        no: { label: localize('Common.Cancel') }
+      },
+      default: 'no'
+    }).render(true);
+  }
+}
+
+/**
+ * Window listing the saved versions of the custom definitions, newest
+ * first, with who made each change and what it touched. Each version can be
+ * compared with the one before it or restored.
+ */
+class DefinitionHistoryApp extends foundry.applications.api.ApplicationV2 {
+  /**
+   * @param {TrapAutomator} automator The module controller
+   * @param {Object} options Application options
+   */
+  constructor(automator, options = {}) {
+    super(options);
+    this.automator = automator;
+    this._hookIds = [];
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'trap-automator-history',
+    classes: ['trap-automator', 'trap-automator-history'],
+    window: {
+      title: 'TRAP_AUTOMATOR.History.Title',
+      resizable: true
+    },
+    position: {
+      width: 720,
+      height: 460
+    },
+    actions: {
+      view: DefinitionHistoryApp._onView,
+      restore: DefinitionHistoryApp._onRestore
     }
-    // Spawn linked hint tokens around the tile.
-    try {
-      await this.spawnHintsAroundTile(tileDoc, hints);
-    } catch (err) {
-      console.error('Trap Automator: Failed to spawn hint tokens', err);
-      ui.notifications.error('Trap Automator: Failed to create hint tokens. See console for details.');
+  };
+
+  /**
+   * Build one row per stored version, newest first.
+   * @returns {Object} Render context
+   */
+  async _prepareContext(options) {
+    const history = game.settings.get('trap-automator', 'customDefsHistory') || [];
+    const rows = history.map((entry, idx) => ({
+      id: entry.id,
+      when: new Date(entry.timestamp).toLocaleString(),
+      user: entry.user || game.users.get(entry.userId)?.name || '',
+      summary: entry.summary || '',
+      current: idx === history.length - 1
+    })).reverse();
+    return { rows };
+  }
+
+  /**
+   * Render the history as an HTML table.
+   * @param {Object} context Result of _prepareContext
+   * @returns {string} Markup
+   */
+  async _renderHTML(context, options) {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    if (!context.rows.length) {
+      return `<p>${localize('History.Empty')}</p>`;
     }
-    ui.notifications.info('Trap or cache created. Hint tokens have been placed and the tile will now trigger the Trap Trigger macro when entered.');
+    const body = context.rows.map(r => `<tr data-entry-id="${r.id}">
+        <td style="white-space:nowrap;">${esc(r.when)}</td>
+        <td>${esc(r.user)}</td>
+        <td>${esc(r.summary)}${r.current ? ` <em>${localize('History.Current')}</em>` : ''}</td>
+        <td style="white-space:nowrap;">
+          <a data-action="view" data-tooltip="${localize('History.ShowChanges')}"><i class="fa-solid fa-code-compare"></i></a>
+          ${r.current ? '' : `<a data-action="restore" data-tooltip="${localize('History.RestoreVersion')}"><i class="fa-solid fa-clock-rotate-left"></i></a>`}
+        </td>
+      </tr>`).join('');
+    return `<table class="ta-history-table">
+        <thead>
+          <tr><th>${localize('History.When')}</th><th>${localize('History.User')}</th><th>${localize('History.Changes')}</th><th></th></tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content, options) {
+    content.innerHTML = result;
   }
 
   /**
-   * Construct a serialisable object describing the trap or cache. For traps
-   * this includes the name, flavour text, save type, DC, damage and
-   * success/failure texts. For caches only the name and found text are
-   * included. The flavour text is normalised to a consistent pattern.
+   * Refresh the list whenever the history setting changes.
    */
-  buildTrapData() {
-    const type = this.currentData.type;
-    const key = this.currentData.key;
-    const def = this.definitions[type][key];
-    const location = this.currentData.location;
-    const trigger = this.currentData.trigger || '';
-    const result = {
-      name: def.name || key,
-      type
-    };
-    // Normalise flavour text using the definition's description template.
-    if (def.description && def.description.flavor) {
-      // Clean the base description by stripping placeholder markers and
-      // removing leading clauses that reference the trigger or location.
-      let descPart = this.cleanFlavorText(def.description.flavor);
-      // If the cleaned description begins with a sensory verb (e.g. "hear",
-      // "feel", "sense", etc.), prepend "You " so the sentence reads
-      // naturally. Without this, messages like "Hear a deafening rumble…"
-      // would lack a subject when appended after the trigger and location.
-      const sensoryVerbs = ['hear', 'feel', 'sense', 'see', 'notice', 'spot', 'detect', 'smell', 'taste', 'observe', 'perceive', 'catch'];
-      const firstWord = descPart.split(/\s+/)[0]?.toLowerCase() || '';
-      if (sensoryVerbs.includes(firstWord)) {
-        descPart = `You ${descPart}`;
-      }
-      // Map location keys to phrases. Omit phrase for "other".
-      const locMap = { floor: 'on the floor', wall: 'on the wall', ceiling: 'on the ceiling', other: '' };
-      const locPhrase = locMap[location] || '';
-      let flavour;
-      if (trigger) {
-        // Compose the final narrative: You <trigger> <location phrase>. <clean description>
-        const prefix = `You ${trigger}${locPhrase ? ' ' + locPhrase : ''}.`;
-        flavour = `${prefix} ${descPart}`.trim();
-      } else {
-        flavour = `${descPart}`.trim();
-      }
-      result.flavor = flavour;
-    } else {
-      result.flavor = '';
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    this._hookIds.push(['updateSetting', Hooks.on('updateSetting', setting => {
+      if (setting.key === 'trap-automator.customDefsHistory') this.render();
+    })]);
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    for (const [hook, id] of this._hookIds) Hooks.off(hook, id);
+    this._hookIds = [];
+  }
+
+  /**
+   * Find the history entry for the row containing the clicked control,
+   * together with the version before it.
+   * @param {HTMLElement} target The clicked element
+   * @returns {Object} { entry, previous }; entry is undefined if the
+   *   version has since been dropped
+   */
+  _getEntry(target) {
+    const id = target.closest('[data-entry-id]')?.dataset.entryId;
+    const history = game.settings.get('trap-automator', 'customDefsHistory') || [];
+    const idx = history.findIndex(e => e.id === id);
+    return { entry: history[idx], previous: idx > 0 ? history[idx - 1] : null };
+  }
+
+  /**
+   * Show every value that changed in a version compared with the version
+   * before it.
+   */
+  static _onView(event, target) {
+    const { entry, previous } = this._getEntry(target);
+    if (!entry) return;
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const show = v => v === undefined ? `<em>${localize('History.None')}</em>` : esc(typeof v === 'string' ? v : JSON.stringify(v));
+    const diff = this.automator.diffDefinitions(previous?.data || {}, entry.data);
+    const rows = diff.map(d => `<tr>
+        <td><code>${esc(d.key)}</code></td>
+        <td style="background:rgba(200,0,0,0.1);">${show(d.before)}</td>
+        <td style="background:rgba(0,150,0,0.1);">${show(d.after)}</td>
+      </tr>`).join('');
+    const content = diff.length
+      ? `<div style="max-height:450px;overflow-y:auto;"><table>
+          <thead><tr><th>${localize('History.Field')}</th><th>${localize('History.Before')}</th><th>${localize('History.After')}</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table></div>`
+      : `<p>${localize('History.NoChanges')}</p>`;
+    new Dialog({
+      title: localize('History.ChangesTitle', { when: new Date(entry.timestamp).toLocaleString() }),
+      content,
+      buttons: {
+        ok: { label: localize('Common.Close') }
+      },
+      default: 'ok'
+    }, { width: 700 }).render(true);
+  }
+
+  /**
+   * Restore a version after confirming what it would change.
+   */
+  static _onRestore(event, target) {
+    const { entry } = this._getEntry(target);
+    if (!entry) return;
+    const current = game.settings.get('trap-automator', 'customDefs') || {};
+    const summary = this.automator.summarizeDefinitionChanges(current, entry.data);
+    new Dialog({
+      title: localize('History.RestoreTitle'),
+      content: `<p>${localize('History.RestorePrompt', { when: new Date(entry.timestamp).toLocaleString() })}</p>
+        <p>${localize('History.RestoreSummary', { summary: Handlebars.escapeExpression(summary) })}</p>
+        <p>${localize('History.RestoreKeeps')}</p>`,
+      buttons: {
+        yes: {
+          label: localize('History.Restore'),
+          callback: () => this.automator.restoreDefinitionVersion(entry.id)
+        },
+        no: { label: localize('Common.Cancel') }
+      },
+      default: 'no'
+    }).render(true);
+  }
+}
+
+/**
+ * Settings window for the hint difficulty tiers. Each row is one tier with
+ * the id that keys its texts in definitions, a label, either a perception
+ * offset or an absolute DC, and the actor its tokens are made from. Rows
+ * are laid out around traps in the listed order.
+ */
+class HintTierConfig extends foundry.applications.api.ApplicationV2 {
+  /**
+   * @param {Object} options Application options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.automator = game.trapAutomator;
+    this.tiers = this.automator.getHintTiers();
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'trap-automator-hint-tiers',
+    tag: 'form',
+    classes: ['trap-automator', 'trap-automator-hint-tiers'],
+    window: {
+      title: 'TRAP_AUTOMATOR.Tiers.Title',
+      resizable: true
+    },
+    position: {
+      width: 640,
+      height: 'auto'
+    },
+    form: {
+      handler: HintTierConfig._onSubmitForm,
+      submitOnChange: false,
+      closeOnSubmit: false
+    },
+    actions: {
+      addTier: HintTierConfig._onAddTier,
+      removeTier: HintTierConfig._onRemoveTier,
+      resetTiers: HintTierConfig._onResetTiers
     }
-    if (type === 'trap') {
-      result.saveType = (this.currentData.saveType || def.defaultSave || 'dex').toLowerCase();
-      // Record the actual DC used for rolls. Store it both as a hidden
-      // property (for modules that prefer to keep the DC secret) and on the
-      // top level so macros that display it (e.g. the provided macro) can
-      // access it. Previously the DC was omitted, causing "DC undefined"
-      // to appear in chat. Now we explicitly set it.
-      const actualDC = this.currentData.dc || 10;
-      result.hiddenDC = actualDC;
-      result.DC = actualDC;
-      result.damageFormula = this.currentData.damage || '';
-      result.halfDamageOnSuccess = !!this.currentData.half;
-      result.damageType = this.currentData.damageType || null;
-      const effectText = this.currentData.effect ? ' ' + this.currentData.effect : '';
-      result.failText = `${def.description.fail || ''}${effectText}`;
-      result.successText = `${def.description.success || ''}${this.currentData.half ? ' You take half damage.' : ''}`;
-    } else {
-      // Cache
-      result.saveType = null;
-      result.DC = null;
-      result.damageFormula = null;
-      result.halfDamageOnSuccess = false;
-      const desc = this.currentData.description || (def.description && def.description.found) || '';
-      result.foundText = desc;
+  };
+
+  /**
+   * Render the tier table.
+   * @returns {string} Markup
+   */
+  async _renderHTML(context, options) {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const actors = game.actors.map(a => `<option value="${esc(a.name)}"></option>`).join('');
+    const rows = this.tiers.map((tier, i) => {
+      const absolute = tier.dc !== null && tier.dc !== undefined && tier.dc !== '';
+      return `<tr>
+        <td><input type="text" name="tiers.${i}.id" value="${esc(tier.id)}" required /></td>
+        <td><input type="text" name="tiers.${i}.label" value="${esc(tier.label)}" /></td>
+        <td>
+          <select name="tiers.${i}.mode">
+            <option value="offset"${absolute ? '' : ' selected'}>${localize('Tiers.Offset')}</option>
+            <option value="dc"${absolute ? ' selected' : ''}>${localize('Tiers.DC')}</option>
+          </select>
+        </td>
+        <td><input type="number" name="tiers.${i}.value" step="1" value="${esc(absolute ? tier.dc : (tier.offset ?? 0))}" /></td>
+        <td><input type="text" name="tiers.${i}.actor" value="${esc(tier.actor)}" list="ta-tier-actors" /></td>
+        <td><a data-action="removeTier" data-index="${i}" data-tooltip="${localize('Common.Delete')}"><i class="fa-solid fa-trash"></i></a></td>
+      </tr>`;
+    }).join('');
+    return `<p class="notes">${localize('Tiers.Intro')}</p>
+      <table class="ta-tier-table">
+        <thead>
+          <tr>
+            <th>${localize('Tiers.Id')}</th><th>${localize('Tiers.Label')}</th><th>${localize('Tiers.Difficulty')}</th>
+            <th>${localize('Tiers.Value')}</th><th>${localize('Tiers.Actor')}</th><th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <datalist id="ta-tier-actors">${actors}</datalist>
+      <footer class="form-footer">
+        <button type="button" data-action="addTier"><i class="fa-solid fa-plus"></i> ${localize('Tiers.Add')}</button>
+        <button type="button" data-action="resetTiers"><i class="fa-solid fa-rotate-left"></i> ${localize('Tiers.Reset')}</button>
+        <button type="submit"><i class="fa-solid fa-save"></i> ${localize('Common.Save')}</button>
+      </footer>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content, options) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Read the rows of the form into this.tiers, keeping unsaved edits
+   * across re-renders. Dots are removed from ids because the builder uses
+   * them as form field names.
+   */
+  _readForm() {
+    const values = foundry.utils.expandObject(new foundry.applications.ux.FormDataExtended(this.element).object);
+    this.tiers = Object.values(values.tiers || {}).map(row => {
+      const value = Number(row.value) || 0;
+      return {
+        id: String(row.id || '').replace(/\./g, '').trim(),
+        label: String(row.label || '').trim(),
+        offset: row.mode === 'dc' ? null : value,
+        dc: row.mode === 'dc' ? value : null,
+        actor: String(row.actor || '').trim()
+      };
+    });
+  }
+
+  /**
+   * Append an empty tier.
+   */
+  static _onAddTier(event, target) {
+    this._readForm();
+    this.tiers.push({ id: '', label: '', offset: 0, dc: null, actor: '' });
+    this.render();
+  }
+
+  /**
+   * Remove the tier of the clicked row.
+   */
+  static _onRemoveTier(event, target) {
+    this._readForm();
+    this.tiers.splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  /**
+   * Replace the rows with the default +2, +4, +6 and +10 tiers.
+   */
+  static _onResetTiers(event, target) {
+    this.tiers = foundry.utils.deepClone(TrapAutomator.DEFAULT_HINT_TIERS);
+    this.render();
+  }
+
+  /**
+   * Validate and save the tiers, then close. Ids must be present and
+   * unique; otherwise the window stays open.
+   */
+  static async _onSubmitForm(event, form, formData) {
+    this._readForm();
+    const ids = this.tiers.map(tier => tier.id);
+    if (!ids.length || ids.some(id => !id)) {
+      ui.notifications.warn(localize('Tiers.IdRequired'));
+      return;
     }
-    return result;
+    if (new Set(ids).size !== ids.length) {
+      ui.notifications.warn(localize('Tiers.IdDuplicate'));
+      return;
+    }
+    const tiers = this.tiers.map(tier => ({ ...tier, label: tier.label || tier.id }));
+    await game.settings.set('trap-automator', 'hintTiers', tiers);
+    ui.notifications.info(localize('Tiers.Saved'));
+    await this.close();
   }
+}
 
+/**
+ * Settings window for the severity table: for each range of character
+ * levels the save DC, attack bonus and number of damage dice of a setback,
+ * dangerous and deadly trap.
+ */
+class SeverityTableConfig extends foundry.applications.api.ApplicationV2 {
   /**
-   * Select one hint string for each difficulty level (+2, +4, +6, +10) based
-   * on the chosen location. If no hints are defined for a given diff or
-   * location, an empty string is used.
-   * @param {Object} trapData The trap data object
-   * @returns {Object} Map of diff levels to hint strings
+   * @param {Object} options Application options
    */
-  getHints(trapData) {
-    const type = trapData.type;
-    const key = this.currentData.key;
-    const def = this.definitions[type][key];
-    const loc = this.currentData.location;
-    const diffs = ['+2', '+4', '+6', '+10'];
-    const hints = {};
-    const locHints = def.hints && def.hints[loc];
-    // If hints for the location are provided as an array of sets choose one set
-    if (Array.isArray(locHints) && locHints.length) {
-      const setIdx = Math.floor(Math.random() * locHints.length);
-      const set = locHints[setIdx];
-      for (const diff of diffs) {
-        hints[diff] = set[diff] || '';
-      }
-    } else {
-      for (const diff of diffs) {
-        const options = locHints && locHints[diff];
-        if (options && options.length) {
-          const idx = Math.floor(Math.random() * options.length);
-          hints[diff] = options[idx];
-        } else {
-          hints[diff] = '';
-        }
-      }
+  constructor(options = {}) {
+    super(options);
+    this.automator = game.trapAutomator;
+    this.rows = this.automator.getSeverityTable();
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'trap-automator-severity',
+    tag: 'form',
+    classes: ['trap-automator', 'trap-automator-severity'],
+    window: {
+      title: 'TRAP_AUTOMATOR.Severity.Title',
+      resizable: true
+    },
+    position: {
+      width: 720,
+      height: 'auto'
+    },
+    form: {
+      handler: SeverityTableConfig._onSubmitForm,
+      submitOnChange: false,
+      closeOnSubmit: false
+    },
+    actions: {
+      addRow: SeverityTableConfig._onAddRow,
+      removeRow: SeverityTableConfig._onRemoveRow,
+      resetRows: SeverityTableConfig._onResetRows
     }
-    return hints;
+  };
+
+  /**
+   * Render the severity table.
+   * @returns {string} Markup
+   */
+  async _renderHTML(context, options) {
+    const esc = v => Handlebars.escapeExpression(String(v ?? ''));
+    const severities = TrapAutomator.SEVERITIES;
+    const rows = this.rows.map((row, i) => `<tr>
+        <td><input type="number" name="rows.${i}.minLevel" min="1" step="1" value="${esc(row.minLevel)}" /></td>
+        <td><input type="number" name="rows.${i}.maxLevel" min="1" step="1" value="${esc(row.maxLevel)}" /></td>
+        ${severities.map(sev => ['dc', 'attack', 'dice']
+          .map(field => `<td><input type="number" name="rows.${i}.${sev}.${field}" step="1" value="${esc(row[sev]?.[field])}" /></td>`)
+          .join('')).join('')}
+        <td><a data-action="removeRow" data-index="${i}" data-tooltip="${localize('Common.Delete')}"><i class="fa-solid fa-trash"></i></a></td>
+      </tr>`).join('');
+    return `<p class="notes">${localize('Severity.Intro')}</p>
+      <table class="ta-severity-table">
+        <thead>
+          <tr>
+            <th colspan="2">${localize('Severity.LevelRange')}</th>
+            ${severities.map(sev => `<th colspan="3">${esc(this.automator.getSeverityLabel(sev))}</th>`).join('')}
+            <th></th>
+          </tr>
+          <tr>
+            <th>${localize('Severity.MinLevel')}</th><th>${localize('Severity.MaxLevel')}</th>
+            ${severities.map(() => `<th>${localize('Severity.DC')}</th><th>${localize('Severity.Attack')}</th><th>${localize('Severity.Dice')}</th>`).join('')}
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <footer class="form-footer">
+        <button type="button" data-action="addRow"><i class="fa-solid fa-plus"></i> ${localize('Severity.Add')}</button>
+        <button type="button" data-action="resetRows"><i class="fa-solid fa-rotate-left"></i> ${localize('Severity.Reset')}</button>
+        <button type="submit"><i class="fa-solid fa-save"></i> ${localize('Common.Save')}</button>
+      </footer>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content, options) {
+    content.innerHTML = result;
   }
 
   /**
-   * Spawn four linked hint tokens around the given tile. Each token is
-   * created from an actor named "Hint +N" where N is the difficulty
-   * modifier. The tokens are positioned above, right, below and left of
-   * the tile with a small padding. If any actor is missing a warning is
-   * shown.
-   * @param {TileDocument} tileDoc The tile around which to spawn hints
-   * @param {Object} hintsByDiff Map of diff levels to hint strings
+   * Read the rows of the form into this.rows, keeping unsaved edits across
+   * re-renders.
    */
-  async spawnHintsAroundTile(tileDoc, hintsByDiff) {
-    const scene = canvas.scene;
-    const grid = canvas.grid.size;
-    const pad = 40;
-    // Compute tile coordinates. TileDocument has x,y,width,height in px.
-    const td = tileDoc;
-    const spots = [
-      { x: td.x + td.width / 2,      y: td.y - pad },             // top
-      { x: td.x + td.width + pad,    y: td.y + td.height / 2 },   // right
-      { x: td.x + td.width / 2,      y: td.y + td.height + pad }, // bottom
-      { x: td.x - pad,               y: td.y + td.height / 2 }    // left
-    ];
-    const diffs = ['+2', '+4', '+6', '+10'];
-    const createData = [];
-    for (let i = 0; i < diffs.length; i++) {
-      const diff = diffs[i];
-      const hintText = hintsByDiff[diff];
-      if (!hintText) continue;
-      const actor = game.actors.getName(`Hint ${diff}`);
-      if (!actor) {
-        ui.notifications.warn(`Trap Automator: No actor named "Hint ${diff}" found.`);
-        continue;
-      }
-      const proto = actor.prototypeToken?.toObject?.();
-      if (!proto) {
-        ui.notifications.warn(`Trap Automator: Actor "${actor.name}" has no prototypeToken defined.`);
-        continue;
+  _readForm() {
+    const values = foundry.utils.expandObject(new foundry.applications.ux.FormDataExtended(this.element).object);
+    this.rows = Object.values(values.rows || {}).map(row => {
+      const result = { minLevel: Number(row.minLevel) || 0, maxLevel: Number(row.maxLevel) || 0 };
+      for (const sev of TrapAutomator.SEVERITIES) {
+        const cells = row[sev] || {};
+        result[sev] = { dc: Number(cells.dc) || 0, attack: Number(cells.attack) || 0, dice: Number(cells.dice) || 0 };
       }
-      const tokenPixelW = (proto.width ?? 1) * grid;
-      const tokenPixelH = (proto.height ?? 1) * grid;
-      const spot = spots[i % spots.length];
-      const data = foundry.utils.mergeObject(proto, {
-        actorId: actor.id,
-        actorLink: true,
-        name: hintText,
-        displayName: CONST.TOKEN_DISPLAY_MODES.HOVER,
-        x: Math.round(spot.x - tokenPixelW / 2),
-        y: Math.round(spot.y - tokenPixelH / 2),
-        hidden: false
-      }, { inplace: false, insertKeys: true, overwrite: true });
-      delete data.actorData;
-      delete data._id;
-      createData.push(data);
-    }
-    if (createData.length) {
-      await scene.createEmbeddedDocuments('Token', createData);
+      return result;
+    });
+  }
+
+  /**
+   * Append a row continuing after the last level range.
+   */
+  static _onAddRow(event, target) {
+    this._readForm();
+    const last = this.rows[this.rows.length - 1];
+    const start = last ? last.maxLevel + 1 : 1;
+    this.rows.push({
+      ...foundry.utils.deepClone(last || TrapAutomator.DEFAULT_SEVERITY_TABLE[0]),
+      minLevel: start,
+      maxLevel: start
+    });
+    this.render();
+  }
+
+  /**
+   * Remove the row that was clicked.
+   */
+  static _onRemoveRow(event, target) {
+    this._readForm();
+    this.rows.splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  /**
+   * Replace the rows with the default table.
+   */
+  static _onResetRows(event, target) {
+    this.rows = foundry.utils.deepClone(TrapAutomator.DEFAULT_SEVERITY_TABLE);
+    this.render();
+  }
+
+  /**
+   * Validate and save the table, then close. Every row needs a level range
+   * whose first level is at least 1 and not above its last; otherwise the
+   * window stays open.
+   */
+  static async _onSubmitForm(event, form, formData) {
+    this._readForm();
+    if (!this.rows.length || this.rows.some(row => row.minLevel < 1 || row.maxLevel < row.minLevel)) {
+      ui.notifications.warn(localize('Severity.BadRange'));
+      return;
     }
+    const rows = this.rows.slice().sort((a, b) => a.minLevel - b.minLevel);
+    await game.settings.set('trap-automator', 'severityTable', rows);
+    ui.notifications.info(localize('Severity.Saved'));
+    await this.close();
   }
 }
 
@@ -2515,55 +6438,46 @@ Hooks.once('init', () => {
   TrapAutomator.registerSettings();
   game.trapAutomator = new TrapAutomator();
   game.trapAutomator.registerKeybinding();
+  // Public API for other modules and macros; see the README.
+  game.modules.get('trap-automator').api = game.trapAutomator.buildApi();
 });
 
-// When the world is ready, load built‑in definitions from the JSON file
-// packaged with the module and merge any custom definitions stored in the
-// world settings. Log how many traps and caches were loaded for debug.
+// Offer a "Configure Trap" control on the HUD of trap and cache tiles.
+Hooks.on('renderTileHUD', (hud, html) => game.trapAutomator.onRenderTileHUD(hud, html));
+
+// Keep hint tokens attached to their trap tile when it moves or is deleted.
+Hooks.on('updateTile', (tileDoc, changes, options, userId) => game.trapAutomator.onUpdateTile(tileDoc, changes, options, userId));
+Hooks.on('deleteTile', (tileDoc, options, userId) => game.trapAutomator.onDeleteTile(tileDoc, options, userId));
+
+// When the world is ready, load the builtin definitions packaged with the
+// module together with packs contributed by other modules, then merge the
+// custom definitions stored in the world settings on top.
 Hooks.once('ready', async () => {
   console.log('Trap Automator: ready hook fired');
+  await game.trapAutomator.loadPacks();
+  // Definitions saved by earlier versions are normalised and, if that
+  // changed them, written back once by the active GM so the stored copy
+  // uses the canonical layout.
   try {
-    const resp = await fetch('modules/trap-automator/definitions/builtin-defs.json');
-    if (resp.ok) {
-      const data = await resp.json();
-      game.trapAutomator.mergeDefinitions(data);
-      const trapCount = Object.keys(game.trapAutomator.definitions.trap || {}).length;
-      const cacheCount = Object.keys(game.trapAutomator.definitions.cache || {}).length;
-      console.log(`Trap Automator: loaded ${trapCount} traps and ${cacheCount} caches from definitions`);
-    } else {
-      console.error('Trap Automator: failed to load builtin definitions:', resp.statusText);
-    }
-  } catch (err) {
-    console.error('Trap Automator: error loading definitions', err);
-  }
-  // Load any custom definitions stored in settings.
-  try {
-    const custom = game.settings.get('trap-automator', 'customDefs');
-    if (custom && Object.keys(custom).length) {
-      game.trapAutomator.mergeDefinitions(custom);
-      console.log('Trap Automator: loaded custom definitions');
+    const stored = game.settings.get('trap-automator', 'customDefs');
+    if (stored && Object.keys(stored).length) {
+      const custom = game.trapAutomator.normalizeDefinitions(stored);
+      if (!foundry.utils.objectsEqual(stored, custom) && game.users.activeGM?.isSelf) {
+        await game.settings.set('trap-automator', 'customDefs', custom);
+        console.log('Trap Automator: migrated custom definitions to the current layout');
+      }
     }
   } catch (err) {
     // Ignore missing settings for first‑time install
   }
-  // Initialise default trigger lists for each primary category. These lists
-  // provide sensible phrases such as "step on a pressure plate" for the
-  // generic category and similar thematic triggers for sci‑fi, magical,
-  // natural and grimdark categories. If triggers are already defined in
-  // custom definitions they will not be overwritten.
-  // Initialise default triggers only if builtin definitions define traps or caches.
-  // For blank/test versions with no definitions, skip populating triggers so the module
-  // starts with an empty trigger list and the GM can create custom triggers. Check
-  // whether there is at least one trap or cache key before invoking the defaults.
-  try {
-    const hasDefs = (Object.keys(game.trapAutomator.definitions.trap || {}).length > 0) || (Object.keys(game.trapAutomator.definitions.cache || {}).length > 0);
-    if (hasDefs) {
-      game.trapAutomator.initializeDefaultTriggers();
-      console.log('Trap Automator: default triggers initialised');
-    } else {
-      console.log('Trap Automator: no builtin definitions found; skipping default triggers');
-    }
-  } catch (err) {
-    console.error('Trap Automator: error initialising default triggers', err);
+  // Build the live definitions and validate them. Incomplete entries are
+  // hidden from the menus and reported to the GM instead of failing
+  // mid-workflow.
+  const report = game.trapAutomator.reloadDefinitions();
+  game.trapAutomator.loaded = true;
+  if (report.length) {
+    console.warn(`Trap Automator: ${report.length} invalid definition(s)`, report);
+    if (game.user.isGM) game.trapAutomator.openValidationReport(report);
   }
-});
\ No newline at end of file
+  Hooks.callAll('trapAutomator.ready', game.modules.get('trap-automator').api);
+});